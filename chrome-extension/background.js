@@ -1,17 +1,81 @@
 /* global chrome */
 
 const RULE_ID_BASE = 1000;
+const RULE_IDS_KEY = "ruleIds";
+
+// Deep focus sits underneath the regular blocklist: its allowlist beats the
+// catch-all redirect, but never a blocked site. A site's exceptions outrank
+// everything focus does, so while focus runs they are only emitted for
+// allowlisted URLs.
+// One-time URL passes and tab unlocks are session rules and outrank
+// everything.
+const RULE_PRIORITY = {
+  focusCatchAll: 1,
+  focusAllow: 2,
+  block: 3,
+  exception: 4,
+  urlPass: 5,
+  tabUnlock: 5,
+};
+// Exceptions cover the embed rules' resource types too, so an excepted
+// host still loads when another page embeds it.
+const EXCEPTION_RESOURCE_TYPES = ["main_frame", "sub_frame", "script", "media"];
 const NATIVE_HOST = "com.tollgate.host";
+const SCHEDULE_ALARM = "schedule-boundary";
+const FOCUS_ALARM = "focus-end";
+const COMMITMENT_ALARM = "commitment-pending";
+
+// Limits on pausing without doing tasks. null means no cap.
+const DEFAULT_PAUSE_POLICY = {
+  durations: [5, 15, 30],
+  minJustification: 120,
+  maxPerDay: null,
+  maxPerWeek: null,
+  cooldownMinutes: 0,
+};
+
+// Earn-and-spend mode: each completed task earns minutesPerTask (times its
+// weight) and unlocks are bought by the minute instead of costing tasks.
+const DEFAULT_CREDITS = {
+  enabled: false,
+  minutesPerTask: 10,
+  sectionWeights: {},
+};
 
 const DEFAULT_CONFIG = {
   markdownPath: "",
+  // Syntax the native host writes task metadata in: "tollgate" or "obsidian"
+  taskFormat: "tollgate",
   cooldownMinutes: 30,
   unlockMode: "all",
   unlockSection: "",
+  // "site" lifts the block everywhere; "tab" only in the tab that unlocked
+  unlockScope: "site",
+  // "wall" unlocks run out on the clock; "attended" ones only while in use
+  unlockClock: "wall",
+  pausePolicy: DEFAULT_PAUSE_POLICY,
+  credits: DEFAULT_CREDITS,
 };
 
 const DEFAULT_STREAK = { current: 0, longest: 0, lastDate: null };
 
+const DEFAULT_FOCUS_MODE = {
+  active: false,
+  allowlist: [],
+  startedAt: null,
+  endsAt: null,
+};
+
+const ACTIVE_SESSION_KEY = "activeSession";
+const ACTIVE_LOG_RETENTION_DAYS = 30;
+const IDLE_DETECTION_SECONDS = 60;
+
+const URL_PASSES_KEY = "urlPasses";
+const CREDIT_LEDGER_KEY = "creditLedger";
+
+const DEFAULT_COMMITMENT = { active: false, delayHours: 24 };
+const MAX_COMMITMENT_DELAY_HOURS = 168;
+
 const LOCAL_BACKUPS_KEY = "localBackups";
 const MAX_LOCAL_BACKUPS = 5;
 
@@ -23,15 +87,21 @@ const SYNC_CHUNK_SIZE = 7000;
 
 chrome.runtime.onInstalled.addListener(async () => {
   await ensureLocalDefaults();
+  await relockTabUnlocks(() => true);
   await syncBlockingRules();
   await recreateRelockAlarms();
+  await recreateFocusAlarm();
+  await applyDuePendingChanges();
   connectNativeHost();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   await ensureLocalDefaults();
+  await relockTabUnlocks(() => true);
   await syncBlockingRules();
   await recreateRelockAlarms();
+  await recreateFocusAlarm();
+  await applyDuePendingChanges();
   connectNativeHost();
 });
 
@@ -42,6 +112,7 @@ async function ensureLocalDefaults() {
   if (!Array.isArray(data.blockedSites)) updates.blockedSites = [];
   if (!Array.isArray(data.tasks)) updates.tasks = [];
   if (!Array.isArray(data.timeLog)) updates.timeLog = [];
+  if (!Array.isArray(data.activeTimeLog)) updates.activeTimeLog = [];
   if (!data.unlocks || typeof data.unlocks !== "object") updates.unlocks = {};
 
   const nextConfig = normalizeConfig(data.config || {});
@@ -60,6 +131,14 @@ async function ensureLocalDefaults() {
 
   if (!Array.isArray(data.siteGroups)) updates.siteGroups = [];
   if (!data.siteSettings || typeof data.siteSettings !== "object") updates.siteSettings = {};
+  if (!data.focusMode || typeof data.focusMode !== "object") {
+    updates.focusMode = { ...DEFAULT_FOCUS_MODE };
+  }
+  if (!data.commitment || typeof data.commitment !== "object") {
+    updates.commitment = { ...DEFAULT_COMMITMENT };
+  }
+  if (!Array.isArray(data.pendingChanges)) updates.pendingChanges = [];
+  if (!Array.isArray(data[CREDIT_LEDGER_KEY])) updates[CREDIT_LEDGER_KEY] = [];
 
   if (!Array.isArray(data[LOCAL_BACKUPS_KEY])) {
     updates[LOCAL_BACKUPS_KEY] = [];
@@ -78,6 +157,7 @@ function normalizeConfig(config) {
       typeof base.markdownPath === "string"
         ? base.markdownPath
         : DEFAULT_CONFIG.markdownPath,
+    taskFormat: base.taskFormat === "obsidian" ? "obsidian" : "tollgate",
     cooldownMinutes:
       Number.isFinite(base.cooldownMinutes) && base.cooldownMinutes > 0
         ? Math.round(base.cooldownMinutes)
@@ -87,15 +167,69 @@ function normalizeConfig(config) {
       typeof base.unlockSection === "string"
         ? base.unlockSection
         : DEFAULT_CONFIG.unlockSection,
+    unlockScope: base.unlockScope === "tab" ? "tab" : "site",
+    unlockClock: base.unlockClock === "attended" ? "attended" : "wall",
+    pausePolicy: normalizePausePolicy(base.pausePolicy),
+    credits: normalizeCredits(base.credits),
+  };
+}
+
+function normalizePausePolicy(policy) {
+  const base = policy && typeof policy === "object" ? policy : {};
+  const wholeMinutes = (value) => Math.round(Number(value));
+
+  const durations = Array.isArray(base.durations)
+    ? Array.from(new Set(base.durations.map(wholeMinutes)))
+      .filter((minutes) => minutes >= 1)
+      .sort((a, b) => a - b)
+    : [];
+  const minJustification = wholeMinutes(base.minJustification);
+  const maxPerDay = wholeMinutes(base.maxPerDay);
+  const maxPerWeek = wholeMinutes(base.maxPerWeek);
+  const cooldownMinutes = wholeMinutes(base.cooldownMinutes);
+
+  return {
+    durations: durations.length > 0 ? durations : [...DEFAULT_PAUSE_POLICY.durations],
+    minJustification:
+      minJustification >= 0 ? minJustification : DEFAULT_PAUSE_POLICY.minJustification,
+    maxPerDay: maxPerDay >= 1 ? maxPerDay : null,
+    maxPerWeek: maxPerWeek >= 1 ? maxPerWeek : null,
+    cooldownMinutes: cooldownMinutes >= 1 ? cooldownMinutes : 0,
+  };
+}
+
+function normalizeCredits(credits) {
+  const base = credits && typeof credits === "object" ? credits : {};
+  const minutesPerTask = Math.round(Number(base.minutesPerTask));
+
+  const sectionWeights = {};
+  if (base.sectionWeights && typeof base.sectionWeights === "object") {
+    for (const [section, weight] of Object.entries(base.sectionWeights)) {
+      const value = Number(weight);
+      if (section.trim() && Number.isFinite(value) && value >= 0) {
+        sectionWeights[section.trim()] = value;
+      }
+    }
+  }
+
+  return {
+    enabled: base.enabled === true,
+    minutesPerTask: minutesPerTask >= 1 ? minutesPerTask : DEFAULT_CREDITS.minutesPerTask,
+    sectionWeights,
   };
 }
 
 function isSameConfig(a, b) {
   return (
     a.markdownPath === b.markdownPath &&
+    a.taskFormat === b.taskFormat &&
     a.cooldownMinutes === b.cooldownMinutes &&
     a.unlockMode === b.unlockMode &&
-    a.unlockSection === b.unlockSection
+    a.unlockSection === b.unlockSection &&
+    a.unlockScope === b.unlockScope &&
+    a.unlockClock === b.unlockClock &&
+    stableStringify(a.pausePolicy) === stableStringify(b.pausePolicy) &&
+    stableStringify(a.credits) === stableStringify(b.credits)
   );
 }
 
@@ -129,12 +263,60 @@ function resolveGroupForSite(site, siteGroups) {
   return siteGroups.find((g) => g.sites.includes(site)) || null;
 }
 
-function getEffectiveCost(site, siteGroups, siteSettings) {
+// `timeLog` only matters for escalating costs, which depend on how many
+// times the site (or its group) was already unlocked today.
+function getEffectiveCost(site, siteGroups, siteSettings, timeLog = [], now = new Date()) {
   const group = resolveGroupForSite(site, siteGroups);
-  if (group && group.cost >= 1) return group.cost;
-  const settings = siteSettings && siteSettings[site];
-  if (settings && settings.cost >= 1) return settings.cost;
-  return null;
+  const unlocksToday = getUnlockCountToday(group ? group.sites : [site], timeLog, now);
+  return getCostForUnlock(site, siteGroups, siteSettings, unlocksToday);
+}
+
+function getCostForUnlock(site, siteGroups, siteSettings, unlocksToday) {
+  const groupCost = getCostStep(resolveGroupForSite(site, siteGroups), unlocksToday);
+  if (groupCost !== null) return groupCost;
+  return getCostStep(siteSettings && siteSettings[site], unlocksToday);
+}
+
+// Price of the next unlock after `unlocksToday` earlier ones. A
+// costEscalation curve like [1, 2, 4] replaces the flat cost; unlocks past
+// the end of the curve keep paying its last step.
+function getCostStep(owner, unlocksToday) {
+  if (!owner) return null;
+  const curve = owner.costEscalation;
+  if (Array.isArray(curve) && curve.length > 0) {
+    return curve[Math.min(unlocksToday, curve.length - 1)];
+  }
+  return owner.cost >= 1 ? owner.cost : null;
+}
+
+function normalizeCostEscalation(curve) {
+  if (!Array.isArray(curve)) return null;
+  const steps = curve
+    .map((step) => Math.round(Number(step)))
+    .filter((step) => Number.isFinite(step) && step >= 1);
+  return steps.length > 0 ? steps : null;
+}
+
+// Paid unlocks started today across `sites`. Pauses and URL passes are
+// free and don't move the escalation curve, but count toward the daily cap
+// when `includePauses` / `includePasses` is set.
+function getUnlockCountToday(sites, timeLog, now = new Date(), options = {}) {
+  const dayStart = getStartOfDay(now).getTime();
+  return (Array.isArray(timeLog) ? timeLog : []).filter((entry) => {
+    if (!sites.includes(entry.site)) return false;
+    if (entry.type === "pass") {
+      return Boolean(
+        options.includePasses &&
+        entry.grantedAt &&
+        new Date(entry.grantedAt).getTime() >= dayStart
+      );
+    }
+    return Boolean(
+      entry.unlockedAt &&
+      (options.includePauses || !entry.paused) &&
+      new Date(entry.unlockedAt).getTime() >= dayStart
+    );
+  }).length;
 }
 
 function isCostRequirementMet(tasks, config, cost, baseline) {
@@ -147,6 +329,212 @@ function isCostRequirementMet(tasks, config, cost, baseline) {
   return effective >= cost;
 }
 
+function getSiteExceptions(site, siteGroups, siteSettings) {
+  const group = resolveGroupForSite(site, siteGroups);
+  const settings = siteSettings && siteSettings[site];
+  const exceptions = [
+    ...(group && Array.isArray(group.exceptions) ? group.exceptions : []),
+    ...(settings && Array.isArray(settings.exceptions) ? settings.exceptions : []),
+  ];
+  return Array.from(new Set(exceptions));
+}
+
+// Group members share one unlock, so a grouped site only takes the group's
+// override. `site` may also be a "group:<id>" unlock key.
+function getCooldownMinutes(site, siteGroups, siteSettings, config) {
+  const group = site.startsWith("group:")
+    ? (siteGroups || []).find((g) => `group:${g.id}` === site) || null
+    : resolveGroupForSite(site, siteGroups);
+  if (group && group.cooldownMinutes >= 1) return group.cooldownMinutes;
+  const settings = !group && siteSettings && siteSettings[site];
+  if (settings && settings.cooldownMinutes >= 1) return settings.cooldownMinutes;
+  return normalizeConfig(config).cooldownMinutes;
+}
+
+function isEmbedBlockingEnabled(site, siteGroups, siteSettings) {
+  const group = resolveGroupForSite(site, siteGroups);
+  if (group && group.blockEmbeds === true) return true;
+  const settings = siteSettings && siteSettings[site];
+  return Boolean(settings && settings.blockEmbeds === true);
+}
+
+function getDailyBudget(site, siteGroups, siteSettings) {
+  const group = resolveGroupForSite(site, siteGroups);
+  if (group && group.dailyBudgetMinutes >= 1) return group.dailyBudgetMinutes;
+  const settings = siteSettings && siteSettings[site];
+  if (settings && settings.dailyBudgetMinutes >= 1) return settings.dailyBudgetMinutes;
+  return null;
+}
+
+function getStartOfDay(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Unlocked time today across `sites`, from timeLog unlock/relock entries.
+// Entries that started yesterday only count from midnight on.
+// Attended unlocks run on their own balance rather than the wall clock, so
+// they use up what was granted minus what is left on the unlock (or was
+// left when it relocked), all counted on the day they started.
+function getUsageTodayMs(sites, timeLog, now = new Date(), unlocks = {}) {
+  const dayStart = getStartOfDay(now).getTime();
+  let total = 0;
+
+  for (const entry of Array.isArray(timeLog) ? timeLog : []) {
+    if (!entry.unlockedAt || !sites.includes(entry.site)) continue;
+
+    if (entry.clock === "attended") {
+      if (new Date(entry.unlockedAt).getTime() < dayStart) continue;
+      if (typeof entry.usedMs === "number") {
+        total += entry.usedMs;
+        continue;
+      }
+      const unlock = unlocks[entry.site];
+      if (!entry.lockedAt && unlock && unlock.unlockedAt === entry.unlockedAt) {
+        total += getAttendedUsedMs(unlock, now.getTime());
+      }
+      continue;
+    }
+
+    const start = Math.max(new Date(entry.unlockedAt).getTime(), dayStart);
+    let end = entry.lockedAt ? new Date(entry.lockedAt).getTime() : now.getTime();
+    if (entry.expiresAt) end = Math.min(end, new Date(entry.expiresAt).getTime());
+    if (end > start) total += end - start;
+  }
+
+  return total;
+}
+
+function getBudgetStatus(site, siteGroups, siteSettings, timeLog, now = new Date(), unlocks = {}) {
+  const limitMinutes = getDailyBudget(site, siteGroups, siteSettings);
+  if (limitMinutes === null) return null;
+
+  const group = resolveGroupForSite(site, siteGroups);
+  const usedMs = getUsageTodayMs(group ? group.sites : [site], timeLog, now, unlocks);
+
+  return {
+    limitMinutes,
+    usedMs,
+    remainingMs: Math.max(0, limitMinutes * 60000 - usedMs),
+  };
+}
+
+// Why an unlock, pause or URL pass is refused right now, and when it will
+// be allowed: either today's cap (which all three count toward) is reached,
+// or the lockout gap after the last relock hasn't passed yet. Returns null
+// when nothing stands in the way.
+function getUnlockGate(site, siteGroups, siteSettings, timeLog, now = new Date()) {
+  const group = resolveGroupForSite(site, siteGroups);
+  const settings = (siteSettings && siteSettings[site]) || {};
+  const sites = group ? group.sites : [site];
+
+  const maxPerDay = getGroupOrSiteLimit(group, settings, "maxUnlocksPerDay");
+  if (maxPerDay !== null) {
+    const used = getUnlockCountToday(sites, timeLog, now, {
+      includePauses: true,
+      includePasses: true,
+    });
+    if (used >= maxPerDay) {
+      const tomorrow = getStartOfDay(now);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return {
+        reason: `Daily limit of ${maxPerDay} unlock${maxPerDay !== 1 ? "s" : ""} reached`,
+        availableAt: tomorrow.toISOString(),
+      };
+    }
+  }
+
+  const gapMinutes = getGroupOrSiteLimit(group, settings, "relockGapMinutes");
+  const lastLockedAt = group ? group.lastLockedAt : settings.lastLockedAt;
+  if (gapMinutes !== null && lastLockedAt) {
+    const availableAt = new Date(new Date(lastLockedAt).getTime() + gapMinutes * 60000);
+    if (availableAt > now) {
+      return {
+        reason: `Locked for ${gapMinutes} min after each relock`,
+        availableAt: availableAt.toISOString(),
+      };
+    }
+  }
+
+  return null;
+}
+
+function getStartOfWeek(date = new Date()) {
+  const start = getStartOfDay(date);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // back to Monday
+  return start;
+}
+
+// Pause limits are global: every pause counts, whichever site it was for.
+function getPauseUsage(timeLog, now = new Date()) {
+  const pauses = (Array.isArray(timeLog) ? timeLog : []).filter(
+    (entry) => entry.paused && entry.unlockedAt
+  );
+  const dayStart = getStartOfDay(now).getTime();
+  const weekStart = getStartOfWeek(now).getTime();
+  const startedAt = (entry) => new Date(entry.unlockedAt).getTime();
+  const last = pauses[pauses.length - 1];
+
+  // Pauses logged before expiresAt was recorded only have lockedAt, and
+  // possibly not even that; those fall back to when they started
+  let lastEndedAt = null;
+  if (last) {
+    const ends = [last.expiresAt, last.lockedAt]
+      .map((value) => (value ? new Date(value).getTime() : NaN))
+      .filter(Number.isFinite);
+    if (ends.length === 0 && Number.isFinite(startedAt(last))) ends.push(startedAt(last));
+    if (ends.length > 0) lastEndedAt = new Date(Math.min(...ends)).toISOString();
+  }
+
+  return {
+    today: pauses.filter((entry) => startedAt(entry) >= dayStart).length,
+    thisWeek: pauses.filter((entry) => startedAt(entry) >= weekStart).length,
+    lastEndedAt,
+  };
+}
+
+// Like getUnlockGate, for the pause policy's caps and cooldown.
+function getPauseGate(policy, timeLog, now = new Date()) {
+  const usage = getPauseUsage(timeLog, now);
+
+  if (policy.maxPerDay !== null && usage.today >= policy.maxPerDay) {
+    const tomorrow = getStartOfDay(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    return {
+      reason: `Daily limit of ${policy.maxPerDay} pause${policy.maxPerDay !== 1 ? "s" : ""} reached`,
+      availableAt: tomorrow.toISOString(),
+    };
+  }
+
+  if (policy.maxPerWeek !== null && usage.thisWeek >= policy.maxPerWeek) {
+    const nextWeek = getStartOfWeek(now);
+    nextWeek.setDate(nextWeek.getDate() + 7);
+    return {
+      reason: `Weekly limit of ${policy.maxPerWeek} pause${policy.maxPerWeek !== 1 ? "s" : ""} reached`,
+      availableAt: nextWeek.toISOString(),
+    };
+  }
+
+  if (policy.cooldownMinutes > 0 && usage.lastEndedAt) {
+    const availableAt = new Date(
+      new Date(usage.lastEndedAt).getTime() + policy.cooldownMinutes * 60000
+    );
+    if (availableAt > now) {
+      return {
+        reason: `${policy.cooldownMinutes} min cooldown between pauses`,
+        availableAt: availableAt.toISOString(),
+      };
+    }
+  }
+
+  return null;
+}
+
+function getGroupOrSiteLimit(group, settings, key) {
+  if (group && group[key] >= 1) return group[key];
+  if (settings && settings[key] >= 1) return settings[key];
+  return null;
+}
+
 function getCostBaseline(site, siteGroups, siteSettings) {
   const group = resolveGroupForSite(site, siteGroups);
   if (group && typeof group.costBaseline === "number") return group.costBaseline;
@@ -155,346 +543,2334 @@ function getCostBaseline(site, siteGroups, siteSettings) {
   return 0;
 }
 
-// ── Blocking rules ──────────────────────────────────────────────────
+// ── Site patterns ───────────────────────────────────────────────────
+//
+// A blockedSites entry is a domain ("youtube.com"), a domain plus path
+// prefix ("youtube.com/shorts") or either of those with "*" wildcards
+// ("reddit.com/r/*/comments"). Domains always cover their subdomains.
+
+function normalizeSiteEntry(input) {
+  return String(input || "")
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\/+$/, "")
+    .replace(/^\*\./, "")
+    .toLowerCase();
+}
 
-let _syncQueue = Promise.resolve();
+function splitSiteEntry(site) {
+  const slash = site.indexOf("/");
+  if (slash === -1) return { host: site, path: "" };
+  return { host: site.slice(0, slash), path: site.slice(slash) };
+}
 
-function syncBlockingRules() {
-  _syncQueue = _syncQueue.then(_syncBlockingRulesImpl, _syncBlockingRulesImpl);
-  return _syncQueue;
+// A URL the entry covers, with its wildcards dropped, for checking one
+// entry against another.
+function getSiteEntryUrl(site) {
+  const { host, path } = splitSiteEntry(site);
+  return "https://" + host.replace(/^(\*\.)+/, "").replace(/\*/g, "") + path.replace(/\*/g, "");
 }
 
-async function _syncBlockingRulesImpl() {
-  const { blockedSites = [], unlocks = {} } = await chrome.storage.local.get([
-    "blockedSites",
-    "unlocks",
-  ]);
+function normalizeSiteList(list) {
+  if (!Array.isArray(list)) return [];
+  const entries = list.map(normalizeSiteEntry).filter((entry) => entry && /[a-z0-9]/.test(entry));
+  return Array.from(new Set(entries));
+}
 
-  // Remove all existing dynamic rules first
-  const existing = await chrome.declarativeNetRequest.getDynamicRules();
-  const removeIds = existing.map((rule) => rule.id);
+function siteToUrlFilter(site) {
+  const { host, path } = splitSiteEntry(site);
+  return "||" + host + (path || "^");
+}
 
-  // Build rules for sites that are not currently unlocked
-  const now = Date.now();
-  const addRules = [];
+// RE2 pattern for DNR regexFilter. It spans the whole URL so a "\\0"
+// substitution can hand the full requested URL to the blocked page.
+function siteToRegexFilter(site) {
+  const { host, path } = splitSiteEntry(site);
+  const prefix =
+    "^https?://(?:[^/?#]*\\.)?" + globToRegexSource(host, "[^/?#]*") + "(?::[0-9]+)?";
+  if (!path) return prefix + "(?:[/?#].*)?$";
+  return prefix + globToRegexSource(path, ".*") + ".*$";
+}
 
-  for (let i = 0; i < blockedSites.length; i++) {
-    const site = blockedSites[i];
-    const unlock = unlocks[site];
+function globToRegexSource(glob, wildcard) {
+  return glob
+    .split("*")
+    .map(escapeRegexSource)
+    .join(wildcard);
+}
 
-    if (unlock && new Date(unlock.expiresAt).getTime() > now) {
-      continue; // still unlocked
-    }
+function escapeRegexSource(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-    addRules.push({
-      id: RULE_ID_BASE + i,
-      priority: 1,
-      action: {
-        type: "redirect",
-        redirect: {
-          extensionPath: "/blocked.html?site=" + encodeURIComponent(site),
-        },
-      },
-      condition: {
-        urlFilter: "||" + site + "^",
-        resourceTypes: ["main_frame"],
-      },
+function siteMatchesUrl(site, url) {
+  let parsed;
+  try {
+    parsed = url instanceof URL ? url : new URL(url);
+  } catch {
+    return false;
+  }
+
+  const { host, path } = splitSiteEntry(site);
+  const hostPattern = new RegExp(
+    "^(?:.+\\.)?" + globToRegexSource(host, "[^/]*") + "$"
+  );
+  if (!hostPattern.test(parsed.hostname.toLowerCase())) return false;
+  if (!path) return true;
+
+  const pathPattern = new RegExp("^" + globToRegexSource(path, ".*"));
+  return pathPattern.test((parsed.pathname + parsed.search).toLowerCase());
+}
+
+// ── Schedules ───────────────────────────────────────────────────────
+//
+// A schedule is a list of weekly windows during which a site is blocked:
+// { days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" }. Days follow
+// Date#getDay (0 = Sunday). A window whose end is not after its start
+// runs past midnight. Sites without a schedule are blocked all the time.
+
+function parseTimeOfDay(value) {
+  const match = typeof value === "string" && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function normalizeSchedule(schedule) {
+  if (!Array.isArray(schedule)) return [];
+
+  return schedule
+    .filter((slot) => slot && typeof slot === "object")
+    .map((slot) => ({
+      days: Array.from(
+        new Set(
+          (Array.isArray(slot.days) ? slot.days : []).filter(
+            (day) => Number.isInteger(day) && day >= 0 && day <= 6
+          )
+        )
+      ).sort((a, b) => a - b),
+      start: slot.start,
+      end: slot.end,
+    }))
+    .filter((slot) => {
+      const start = parseTimeOfDay(slot.start);
+      const end = parseTimeOfDay(slot.end);
+      return slot.days.length > 0 && start !== null && end !== null && start !== end;
     });
+}
+
+function getSiteSchedule(site, siteGroups, siteSettings) {
+  const group = resolveGroupForSite(site, siteGroups);
+  if (group && Array.isArray(group.schedule) && group.schedule.length > 0) {
+    return group.schedule;
+  }
+  const settings = siteSettings && siteSettings[site];
+  if (settings && Array.isArray(settings.schedule) && settings.schedule.length > 0) {
+    return settings.schedule;
   }
+  return null;
+}
 
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds: removeIds,
-    addRules,
+function isWithinSchedule(schedule, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+
+  return schedule.some((slot) => {
+    const start = parseTimeOfDay(slot.start);
+    const end = parseTimeOfDay(slot.end);
+    if (start < end) {
+      return slot.days.includes(day) && minutes >= start && minutes < end;
+    }
+    return (
+      (slot.days.includes(day) && minutes >= start) ||
+      (slot.days.includes(previousDay) && minutes < end)
+    );
   });
 }
 
-// ── Unlock / Re-lock / Pause ────────────────────────────────────────
+function getScheduleBoundaries(schedule, from) {
+  const boundaries = [];
+
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    for (const slot of schedule) {
+      if (!slot.days.includes(day.getDay())) continue;
+      const start = parseTimeOfDay(slot.start);
+      const end = parseTimeOfDay(slot.end);
+      const endOffset = end > start ? end : end + 1440;
+      boundaries.push(
+        new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start),
+        new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, endOffset)
+      );
+    }
+  }
 
-const PAUSE_MIN_JUSTIFICATION = 120;
+  return boundaries
+    .filter((date) => date.getTime() > from.getTime())
+    .sort((a, b) => a - b);
+}
+
+function isSiteScheduledBlocked(site, siteGroups, siteSettings, date = new Date()) {
+  const schedule = getSiteSchedule(site, siteGroups, siteSettings);
+  return !schedule || isWithinSchedule(schedule, date);
+}
+
+function getNextFreeTime(schedule, from) {
+  if (!isWithinSchedule(schedule, from)) return from;
+  for (const boundary of getScheduleBoundaries(schedule, from)) {
+    if (!isWithinSchedule(schedule, boundary)) return boundary;
+  }
+  return null;
+}
+
+async function armScheduleAlarm(blockedSites, siteGroups, siteSettings) {
+  const now = new Date();
+  let next = null;
+
+  for (const site of blockedSites) {
+    const schedule = getSiteSchedule(site, siteGroups, siteSettings);
+    if (!schedule) continue;
+    const [boundary] = getScheduleBoundaries(schedule, now);
+    if (boundary && (!next || boundary < next)) next = boundary;
+  }
+
+  if (next) {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+async function handleScheduleBoundary() {
+  await syncBlockingRules();
 
-async function unlockSite(site) {
   const {
     blockedSites = [],
-    config,
     unlocks = {},
-    timeLog = [],
-    tasks = [],
     siteGroups = [],
     siteSettings = {},
   } = await chrome.storage.local.get([
     "blockedSites",
-    "config",
     "unlocks",
-    "timeLog",
-    "tasks",
     "siteGroups",
     "siteSettings",
   ]);
 
-  const cost = getEffectiveCost(site, siteGroups, siteSettings);
-  const baseline = getCostBaseline(site, siteGroups, siteSettings);
-  if (!isCostRequirementMet(tasks, config, cost, baseline)) {
-    return null;
-  }
+  // Sites whose window just opened may still be open in a tab
+  const now = Date.now();
+  const nowBlocked = blockedSites.filter((site) => {
+    if (!getSiteSchedule(site, siteGroups, siteSettings)) return false;
+    if (isUnlockActive(unlocks[site], undefined, now)) return false;
+    return isSiteScheduledBlocked(site, siteGroups, siteSettings);
+  });
 
-  const cooldown = (normalizeConfig(config).cooldownMinutes || 30);
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + cooldown * 60000).toISOString();
+  await redirectTabsForSites(nowBlocked, siteGroups, siteSettings, { unlocks });
+}
 
-  const group = resolveGroupForSite(site, siteGroups);
-  const sitesToUnlock = group ? group.sites : [site];
-  const removeRuleIds = [];
+// ── Blocking rules ──────────────────────────────────────────────────
 
-  for (const s of sitesToUnlock) {
-    unlocks[s] = { unlockedAt: now.toISOString(), expiresAt };
-    const idx = blockedSites.indexOf(s);
-    if (idx !== -1) removeRuleIds.push(RULE_ID_BASE + idx);
-  }
+// A tab unlock (one carrying a tabId) only opens the site in that tab;
+// pass no tabId to ask whether the site is open everywhere.
+function isUnlockActive(unlock, tabId, now = Date.now()) {
+  if (!unlock || getUnlockExpiry(unlock, now) <= now) return false;
+  return typeof unlock.tabId !== "number" || unlock.tabId === tabId;
+}
 
-  // Only log the site the user actually visited, not all group members
-  timeLog.push({ site, unlockedAt: now.toISOString(), lockedAt: null });
+// The requested URL rides along in the fragment so the blocked page can
+// send the tab back after an unlock; fragments reach the page verbatim.
+function getBlockedPageUrl(query, originalUrl) {
+  const base = chrome.runtime.getURL("/blocked.html?" + query);
+  return originalUrl ? base + "#" + originalUrl : base;
+}
 
-  if (group) {
-    unlocks[`group:${group.id}`] = { unlockedAt: now.toISOString(), expiresAt };
-  }
+function getSiteBlockedPageUrl(site, originalUrl) {
+  return getBlockedPageUrl("site=" + encodeURIComponent(site), originalUrl);
+}
 
-  // Save cost baseline so next cycle requires N *more* completed tasks
-  if (cost !== null && cost >= 1) {
-    const completedNow = getLeafTasks(Array.isArray(tasks) ? tasks : []).filter((t) => t.completed).length;
-    if (group) {
-      group.costBaseline = completedNow;
-      // siteGroups is already a reference to the fetched array
-    } else {
-      if (!siteSettings[site]) siteSettings[site] = {};
-      siteSettings[site].costBaseline = completedNow;
+function getEmbedPlaceholderUrl(site, originalUrl) {
+  const base = chrome.runtime.getURL("/embed.html?site=" + encodeURIComponent(site));
+  return originalUrl ? base + "#" + originalUrl : base;
+}
+
+let _syncQueue = Promise.resolve();
+
+function syncBlockingRules() {
+  _syncQueue = _syncQueue.then(_syncBlockingRulesImpl, _syncBlockingRulesImpl);
+  return _syncQueue;
+}
+
+async function validateNewSiteRule(site) {
+  const check = await chrome.declarativeNetRequest.isRegexSupported({
+    regex: siteToRegexFilter(site),
+    isCaseSensitive: false,
+  });
+  return check.isSupported ? null : `Pattern "${site}" is too complex to block`;
+}
+
+// Counts the rules buildDesiredRules would emit with every site blocked at
+// once, so a list that fits now can't overflow when a schedule starts or
+// an unlock ends.
+function countDesiredRules(data) {
+  const { blockedSites, siteGroups, siteSettings, focusMode } = data;
+  const exceptions = new Set();
+  let regex = 0;
+
+  for (const site of blockedSites) {
+    regex += isEmbedBlockingEnabled(site, siteGroups, siteSettings) ? 3 : 1;
+    for (const exception of getSiteExceptions(site, siteGroups, siteSettings)) {
+      exceptions.add(exception);
     }
   }
 
-  await chrome.storage.local.set({ unlocks, timeLog, siteGroups, siteSettings });
-
-  if (removeRuleIds.length > 0) {
-    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+  let total = regex + exceptions.size;
+  if (isFocusActive(focusMode)) {
+    regex += 1;
+    total += 1 + focusMode.allowlist.length;
   }
+  return { regex, total };
+}
 
-  // Set alarm — one per group or per site
-  const alarmName = group ? `relock-group:${group.id}` : `relock-${site}`;
-  chrome.alarms.create(alarmName, { delayInMinutes: cooldown });
+// Returns a user-facing error when `after` needs more rules than Chrome
+// accepts. Changes that don't add rules always pass so an over-full list
+// can still be trimmed. Both default to the stored focus session.
+async function getRuleLimitProblem(before, after) {
+  const { focusMode = DEFAULT_FOCUS_MODE } = await chrome.storage.local.get("focusMode");
+  const previous = countDesiredRules({ focusMode, ...before });
+  const next = countDesiredRules({ focusMode, ...after });
+  const regexLimit = getRegexRuleLimit();
+  const dynamicLimit = getDynamicRuleLimit();
+
+  if (next.regex > regexLimit && next.regex > previous.regex) {
+    return `Blocklist is full (${regexLimit} pattern rules max)`;
+  }
+  if (next.total > dynamicLimit && next.total > previous.total) {
+    return `Blocklist is full (${dynamicLimit} rules max)`;
+  }
+  return null;
+}
 
-  await updateStreak();
+function getDynamicRuleLimit() {
+  const dnr = chrome.declarativeNetRequest;
+  return dnr.MAX_NUMBER_OF_DYNAMIC_RULES || dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000;
+}
 
-  return unlocks[site];
+function getRegexRuleLimit() {
+  return chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES || 1000;
 }
 
-async function pauseSite(site, durationMinutes, justification) {
-  if (typeof justification !== "string" || justification.trim().length < PAUSE_MIN_JUSTIFICATION) {
-    return null;
-  }
+// Every rule is identified by a key ("block:<site>", "embed:<site>",
+// "allow:<entry>", "focus:<entry>") so it keeps its id across syncs no
+// matter how blockedSites is reordered or shrunk.
+function buildDesiredRules(data) {
+  const { blockedSites, unlocks, siteGroups, siteSettings, focusMode } = data;
+  const now = Date.now();
+  const rules = [];
+  const allowedExceptions = new Set();
+
+  for (const site of blockedSites) {
+    if (isUnlockActive(unlocks[site], undefined, now)) {
+      continue; // still unlocked everywhere
+    }
+
+    if (!isSiteScheduledBlocked(site, siteGroups, siteSettings)) {
+      continue; // outside its blocking windows
+    }
+
+    rules.push({
+      key: "block:" + site,
+      priority: RULE_PRIORITY.block,
+      action: {
+        type: "redirect",
+        redirect: {
+          regexSubstitution: getSiteBlockedPageUrl(site, "\\0"),
+        },
+      },
+      condition: {
+        regexFilter: siteToRegexFilter(site),
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: ["main_frame"],
+      },
+    });
+
+    if (isEmbedBlockingEnabled(site, siteGroups, siteSettings)) {
+      rules.push(...buildEmbedRules(site));
+    }
+
+    for (const exception of getSiteExceptions(site, siteGroups, siteSettings)) {
+      allowedExceptions.add(exception);
+    }
+  }
+
+  for (const exception of allowedExceptions) {
+    if (isFocusActive(focusMode) && !isFocusAllowlisted(focusMode, getSiteEntryUrl(exception))) {
+      continue; // deep focus blocks it too, so the site's block rule stays
+    }
+    rules.push({
+      key: "allow:" + exception,
+      priority: RULE_PRIORITY.exception,
+      action: { type: "allow" },
+      condition: {
+        urlFilter: siteToUrlFilter(exception),
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: EXCEPTION_RESOURCE_TYPES,
+      },
+    });
+  }
+
+  if (isFocusActive(focusMode)) {
+    rules.push({
+      key: "focus:*",
+      priority: RULE_PRIORITY.focusCatchAll,
+      action: {
+        type: "redirect",
+        redirect: { regexSubstitution: getBlockedPageUrl("mode=focus", "\\0") },
+      },
+      condition: {
+        regexFilter: "^https?://.*$",
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: ["main_frame"],
+      },
+    });
+
+    for (const entry of focusMode.allowlist) {
+      rules.push({
+        key: "focus:" + entry,
+        priority: RULE_PRIORITY.focusAllow,
+        action: { type: "allow" },
+        condition: {
+          urlFilter: siteToUrlFilter(entry),
+          isUrlFilterCaseSensitive: false,
+          resourceTypes: ["main_frame"],
+        },
+      });
+    }
+  }
+
+  return rules;
+}
+
+// Embeds are frames, scripts and media pulled in by *other* pages. Frames
+// are swapped for a placeholder; scripts and media are dropped outright.
+// Requests the site makes for itself are left alone so exception pages
+// keep working, and the site's exception hosts are let through by the
+// "allow:" rules.
+function buildEmbedRules(site) {
+  const { host } = splitSiteEntry(site);
+  const literalHost = host.replace(/^(\*\.)+/, "");
+  const condition = {
+    regexFilter: siteToRegexFilter(site),
+    isUrlFilterCaseSensitive: false,
+  };
+  if (!literalHost.includes("*")) {
+    condition.excludedInitiatorDomains = [literalHost];
+  }
+
+  return [
+    {
+      key: "embed:" + site,
+      priority: RULE_PRIORITY.block,
+      action: {
+        type: "redirect",
+        redirect: { regexSubstitution: getEmbedPlaceholderUrl(site, "\\0") },
+      },
+      condition: { ...condition, resourceTypes: ["sub_frame"] },
+    },
+    {
+      key: "embed-resources:" + site,
+      priority: RULE_PRIORITY.block,
+      action: { type: "block" },
+      condition: { ...condition, resourceTypes: ["script", "media"] },
+    },
+  ];
+}
+
+// `ruleIds` holds the ids worth keeping; new keys get the lowest free id.
+function assignRuleIds(rules, ruleIds) {
+  const nextIds = { ...ruleIds };
+  const used = new Set(Object.values(nextIds));
+  let candidate = RULE_ID_BASE;
+
+  for (const rule of rules) {
+    if (nextIds[rule.key]) continue;
+    while (used.has(candidate)) candidate += 1;
+    nextIds[rule.key] = candidate;
+    used.add(candidate);
+  }
+
+  return nextIds;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return "[" + value.map(stableStringify).join(",") + "]";
+  if (value && typeof value === "object") {
+    return "{" + Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => JSON.stringify(key) + ":" + stableStringify(value[key]))
+      .join(",") + "}";
+  }
+  return JSON.stringify(value);
+}
+
+function isSameRule(a, b) {
+  return (
+    a.priority === b.priority &&
+    stableStringify(a.action) === stableStringify(b.action) &&
+    stableStringify(a.condition) === stableStringify(b.condition)
+  );
+}
+
+async function _syncBlockingRulesImpl() {
+  const {
+    blockedSites = [],
+    unlocks = {},
+    siteGroups = [],
+    siteSettings = {},
+    focusMode = DEFAULT_FOCUS_MODE,
+    [RULE_IDS_KEY]: storedRuleIds = {},
+  } = await chrome.storage.local.get([
+    "blockedSites",
+    "unlocks",
+    "siteGroups",
+    "siteSettings",
+    "focusMode",
+    RULE_IDS_KEY,
+  ]);
+
+  const desired = buildDesiredRules({
+    blockedSites,
+    unlocks,
+    siteGroups,
+    siteSettings,
+    focusMode,
+  });
+
+  // Keep ids of configured-but-inactive rules (e.g. unlocked sites) so they
+  // come back under the same id when they relock.
+  const keptIds = {};
+  const keptKeys = [
+    ...blockedSites.flatMap((site) => [
+      "block:" + site,
+      "embed:" + site,
+      "embed-resources:" + site,
+    ]),
+    ...desired.map((rule) => rule.key),
+  ];
+  for (const key of keptKeys) {
+    if (Number.isInteger(storedRuleIds[key])) keptIds[key] = storedRuleIds[key];
+  }
+  const nextRuleIds = assignRuleIds(desired, keptIds);
+
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  const existingById = new Map(existing.map((rule) => [rule.id, rule]));
+  const desiredIds = new Set();
+  const removeRuleIds = [];
+  const addRules = [];
+
+  for (const { key, ...rule } of desired) {
+    const id = nextRuleIds[key];
+    desiredIds.add(id);
+    const current = existingById.get(id);
+    if (current && isSameRule(current, rule)) continue;
+    if (current) removeRuleIds.push(id);
+    addRules.push({ id, ...rule });
+  }
+
+  for (const rule of existing) {
+    if (!desiredIds.has(rule.id)) removeRuleIds.push(rule.id);
+  }
+
+  if (removeRuleIds.length > 0 || addRules.length > 0) {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+  }
+
+  if (stableStringify(nextRuleIds) !== stableStringify(storedRuleIds)) {
+    await chrome.storage.local.set({ [RULE_IDS_KEY]: nextRuleIds });
+  }
+
+  await armScheduleAlarm(blockedSites, siteGroups, siteSettings);
+}
+
+// ── Unlock / Re-lock / Pause ────────────────────────────────────────
+
+// With credits enabled, `minutes` is how much unlocked time to buy; the
+// task cost doesn't apply. `tabId` is the blocked tab, which is all that
+// gets unlocked when the unlock scope is "tab".
+async function unlockSite(site, minutes, tabId) {
+  const {
+    config,
+    unlocks = {},
+    timeLog = [],
+    tasks = [],
+    siteGroups = [],
+    siteSettings = {},
+    [CREDIT_LEDGER_KEY]: ledger = [],
+  } = await chrome.storage.local.get([
+    "config",
+    "unlocks",
+    "timeLog",
+    "tasks",
+    "siteGroups",
+    "siteSettings",
+    CREDIT_LEDGER_KEY,
+  ]);
+
+  const now = new Date();
+  const credits = normalizeConfig(config).credits;
+  const cost = credits.enabled
+    ? null
+    : getEffectiveCost(site, siteGroups, siteSettings, timeLog, now);
+  const baseline = getCostBaseline(site, siteGroups, siteSettings);
+  if (!credits.enabled && !isCostRequirementMet(tasks, config, cost, baseline)) {
+    return null;
+  }
+
+  const gate = getUnlockGate(site, siteGroups, siteSettings, timeLog, now);
+  if (gate) throw new Error(gate.reason);
+
+  const group = resolveGroupForSite(site, siteGroups);
+  const sitesToUnlock = group ? group.sites : [site];
+  const unlockKey = group ? `group:${group.id}` : site;
+
+  const tabScoped = normalizeConfig(config).unlockScope === "tab";
+  if (tabScoped && (typeof tabId !== "number" || tabId < 0)) {
+    throw new Error("A tab unlock needs the tab that was blocked");
+  }
+  const current = unlocks[unlockKey];
+  if (
+    tabScoped &&
+    current &&
+    typeof current.tabId === "number" &&
+    current.tabId !== tabId &&
+    isUnlockActive(current, current.tabId, now.getTime())
+  ) {
+    throw new Error("Already unlocked in another tab");
+  }
+
+  let cooldown = getCooldownMinutes(site, siteGroups, siteSettings, config);
+  if (credits.enabled) {
+    cooldown = Math.round(Number(minutes));
+    if (!(cooldown >= 1)) throw new Error("Choose how many minutes to buy");
+    const balance = getCreditBalance(ledger);
+    if (cooldown > balance) {
+      throw new Error(`Only ${Math.max(0, balance)} min of credit left`);
+    }
+  }
+
+  // A daily budget caps the unlock at whatever is left of it today
+  const budget = getBudgetStatus(site, siteGroups, siteSettings, timeLog, now, unlocks);
+  if (budget) {
+    const remainingMinutes = Math.floor(budget.remainingMs / 60000);
+    if (remainingMinutes < 1) {
+      throw new Error(`Daily budget of ${budget.limitMinutes} min is used up`);
+    }
+    cooldown = Math.min(cooldown, remainingMinutes);
+  }
+
+  const expiresAt = new Date(now.getTime() + cooldown * 60000).toISOString();
+
+  // Remember the cooldown so a later, shorter override can cut it down.
+  // Bought time is paid for, so it records the purchase instead.
+  const unlock = credits.enabled
+    ? { unlockedAt: now.toISOString(), expiresAt, creditMinutes: cooldown }
+    : { unlockedAt: now.toISOString(), expiresAt, cooldownMinutes: cooldown };
+  // An attended clock starts stopped; it runs once a tab on the site is
+  // in front of the user
+  const attendedClock = normalizeConfig(config).unlockClock === "attended";
+  if (attendedClock) {
+    unlock.clock = "attended";
+    unlock.pausedRemainingMs = cooldown * 60000;
+  }
+  if (tabScoped) {
+    await removeTabUnlockRules(current);
+    unlock.tabId = tabId;
+    unlock.tabRuleIds = await addTabUnlockRules(sitesToUnlock, tabId);
+  }
+  for (const s of sitesToUnlock) {
+    unlocks[s] = { ...unlock };
+  }
+
+  // Only log the site the user actually visited, not all group members
+  const logEntry = { site, unlockedAt: now.toISOString(), expiresAt, lockedAt: null };
+  if (attendedClock) logEntry.clock = "attended";
+  timeLog.push(logEntry);
+
+  if (group) {
+    unlocks[`group:${group.id}`] = { ...unlock };
+  }
+
+  if (credits.enabled) {
+    ledger.push({ type: "spend", minutes: -cooldown, at: now.toISOString(), site });
+  }
+
+  // Save cost baseline so next cycle requires N *more* completed tasks
+  if (cost !== null && cost >= 1) {
+    const completedNow = getLeafTasks(Array.isArray(tasks) ? tasks : []).filter((t) => t.completed).length;
+    if (group) {
+      group.costBaseline = completedNow;
+      // siteGroups is already a reference to the fetched array
+    } else {
+      if (!siteSettings[site]) siteSettings[site] = {};
+      siteSettings[site].costBaseline = completedNow;
+    }
+  }
+
+  await chrome.storage.local.set({
+    unlocks,
+    timeLog,
+    siteGroups,
+    siteSettings,
+    [CREDIT_LEDGER_KEY]: ledger,
+  });
+  await syncBlockingRules();
+
+  // Set alarm — one per group or per site
+  const alarmName = group ? `relock-group:${group.id}` : `relock-${site}`;
+  if (attendedClock) {
+    chrome.alarms.clear(alarmName);
+    void refreshActiveSession();
+  } else {
+    chrome.alarms.create(alarmName, { delayInMinutes: cooldown });
+  }
+
+  await updateStreak();
+
+  return unlocks[site];
+}
+
+// A justification is "recycled" when its word set overlaps this much
+// (Jaccard) with one given in the lookback window.
+const JUSTIFICATION_SIMILARITY_THRESHOLD = 0.6;
+const JUSTIFICATION_LOOKBACK_DAYS = 14;
+
+function tokenizeJustification(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1)
+  );
+}
+
+function getTokenSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function findRecycledJustification(reason, timeLog, now = new Date()) {
+  const since = now.getTime() - JUSTIFICATION_LOOKBACK_DAYS * 86400000;
+  const tokens = tokenizeJustification(reason);
+
+  return (Array.isArray(timeLog) ? timeLog : []).find(
+    (entry) =>
+      entry.paused &&
+      typeof entry.justification === "string" &&
+      new Date(entry.unlockedAt).getTime() >= since &&
+      getTokenSimilarity(tokens, tokenizeJustification(entry.justification)) >=
+        JUSTIFICATION_SIMILARITY_THRESHOLD
+  ) || null;
+}
+
+// `challenge` ({ id, answer }) answers the site's pause challenge when it
+// is anything other than a written justification.
+async function pauseSite(site, durationMinutes, justification, challenge = {}) {
+  const { config, unlocks = {}, timeLog = [], siteGroups = [], siteSettings = {} } =
+    await chrome.storage.local.get(["config", "unlocks", "timeLog", "siteGroups", "siteSettings"]);
+
+  const policy = normalizeConfig(config).pausePolicy;
+  const challengeType = getPauseChallengeType(site, siteGroups, siteSettings);
+  const reason =
+    challengeType === "justification" && typeof justification === "string"
+      ? justification.trim()
+      : "";
+  if (challengeType === "justification" && reason.length < policy.minJustification) {
+    throw new Error(`Justification must be at least ${policy.minJustification} characters`);
+  }
+
+  if (!policy.durations.includes(durationMinutes)) {
+    throw new Error(`Pauses can last ${policy.durations.join(", ")} min`);
+  }
+
+  const now = new Date();
+  if (challengeType !== "justification") {
+    await verifyPauseChallenge(site, challengeType, challenge, now);
+  }
+
+  const recycled = reason ? findRecycledJustification(reason, timeLog, now) : null;
+  if (recycled) {
+    const when = new Date(recycled.unlockedAt).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+    throw new Error(`Too similar to your justification from ${when} — give a new reason`);
+  }
+
+  const gate =
+    getPauseGate(policy, timeLog, now) ||
+    getUnlockGate(site, siteGroups, siteSettings, timeLog, now);
+  if (gate) throw new Error(gate.reason);
+
+  // A pause spends the daily budget like an unlock, so it is cut to what's
+  // left of it today
+  let pauseMinutes = durationMinutes;
+  const budget = getBudgetStatus(site, siteGroups, siteSettings, timeLog, now, unlocks);
+  if (budget) {
+    const remainingMinutes = Math.floor(budget.remainingMs / 60000);
+    if (remainingMinutes < 1) {
+      throw new Error(`Daily budget of ${budget.limitMinutes} min is used up`);
+    }
+    pauseMinutes = Math.min(pauseMinutes, remainingMinutes);
+  }
+
+  const expiresAt = new Date(now.getTime() + pauseMinutes * 60000).toISOString();
+
+  const group = resolveGroupForSite(site, siteGroups);
+  const sitesToPause = group ? group.sites : [site];
+
+  // A pause opens the site everywhere, replacing any tab unlock
+  await removeTabUnlockRules(unlocks[group ? `group:${group.id}` : site]);
+
+  for (const s of sitesToPause) {
+    unlocks[s] = { unlockedAt: now.toISOString(), expiresAt };
+  }
+
+  // Only log the site the user actually visited
+  const entry = {
+    site,
+    unlockedAt: now.toISOString(),
+    expiresAt,
+    lockedAt: null,
+    paused: true,
+  };
+  if (reason) {
+    entry.justification = reason;
+  } else {
+    entry.challenge = challengeType;
+  }
+  timeLog.push(entry);
+
+  if (group) {
+    unlocks[`group:${group.id}`] = { unlockedAt: now.toISOString(), expiresAt };
+  }
+
+  await chrome.storage.local.set({ unlocks, timeLog });
+  if (challenge.id) await consumePauseChallenge(challenge.id);
+  await syncBlockingRules();
+
+  const alarmName = group ? `relock-group:${group.id}` : `relock-${site}`;
+  chrome.alarms.create(alarmName, { delayInMinutes: pauseMinutes });
+
+  return unlocks[site];
+}
+
+// ── Credits ─────────────────────────────────────────────────────────
+//
+// creditLedger is append-only: "earn" and "revoke" entries follow task
+// completions, "spend" and "refund" follow bought unlocks. The balance is
+// the sum of their signed minutes.
+
+function getCreditBalance(ledger) {
+  return (Array.isArray(ledger) ? ledger : []).reduce(
+    (sum, entry) => sum + (Number(entry.minutes) || 0),
+    0
+  );
+}
+
+function getCreditRefund(unlock, now = new Date()) {
+  if (!unlock || !(unlock.creditMinutes >= 1)) return 0;
+  const unusedMs = getUnlockExpiry(unlock, now.getTime()) - now.getTime();
+  return Math.min(unlock.creditMinutes, Math.max(0, Math.floor(unusedMs / 60000)));
+}
+
+// A task's own weight wins over its section's; unweighted tasks earn the
+// base rate.
+function getTaskCreditMinutes(task, credits) {
+  const section = task.section || "Tasks";
+  const weight =
+    typeof task.weight === "number" && task.weight >= 0
+      ? task.weight
+      : getSectionWeight(credits.sectionWeights, section);
+  return Math.round(credits.minutesPerTask * weight);
+}
+
+function getSectionWeight(sectionWeights, section) {
+  return Object.prototype.hasOwnProperty.call(sectionWeights, section)
+    ? sectionWeights[section]
+    : 1;
+}
+
+// Tasks re-parsed from markdown get new ids, so a task is also recognised
+// by its section and text.
+function getTaskCreditKey(task) {
+  return `${task.section || "Tasks"}\n${task.text}`;
+}
+
+// Credits still held for one completion of a task: what it earned when
+// ticked at `completedAt`, net of anything already taken back. Entries
+// without a completion time (older ones, or tasks ticked without one)
+// count only on the day they were made.
+function getTaskCycleCredit(ledger, task, completedAt, now) {
+  const dayStart = getStartOfDay(now).getTime();
+  const key = getTaskCreditKey(task);
+  return ledger
+    .filter(
+      (entry) =>
+        (entry.type === "earn" || entry.type === "revoke") &&
+        (entry.taskId === task.id || entry.key === key) &&
+        (entry.completedAt
+          ? entry.completedAt === completedAt
+          : new Date(entry.at).getTime() >= dayStart)
+    )
+    .reduce((sum, entry) => sum + entry.minutes, 0);
+}
+
+// Ticking a task earns its minutes; unticking it takes back what that
+// completion earned, whichever day it was ticked, so toggling can't be
+// farmed. A recurring task's reset (`options.reset`) keeps what it earned.
+async function recordTaskCredits(previousTasks, nextTasks, options = {}) {
+  const { config, [CREDIT_LEDGER_KEY]: ledger = [] } =
+    await chrome.storage.local.get(["config", CREDIT_LEDGER_KEY]);
+  const credits = normalizeConfig(config).credits;
+  if (!credits.enabled) return ledger;
+
+  const before = getLeafTasks(Array.isArray(previousTasks) ? previousTasks : []);
+  const after = getLeafTasks(Array.isArray(nextTasks) ? nextTasks : []);
+  const doneById = new Map();
+  const doneByKey = new Map();
+  for (const task of before) {
+    if (!task.completed) continue;
+    doneById.set(task.id, task);
+    doneByKey.set(getTaskCreditKey(task), task);
+  }
+  const getPreviousDone = (task) => doneById.get(task.id) || doneByKey.get(getTaskCreditKey(task));
+
+  const now = new Date();
+  const at = now.toISOString();
+  const entries = [];
+
+  for (const task of after) {
+    const previous = getPreviousDone(task);
+    if (task.completed && !previous) {
+      const minutes = getTaskCreditMinutes(task, credits);
+      if (minutes > 0) {
+        entries.push({
+          type: "earn",
+          minutes,
+          at,
+          taskId: task.id,
+          key: getTaskCreditKey(task),
+          completedAt: task.completedAt || null,
+        });
+      }
+    } else if (!task.completed && previous && !options.reset) {
+      const completedAt = previous.completedAt || null;
+      const earned = getTaskCycleCredit(ledger, task, completedAt, now);
+      if (earned > 0) {
+        entries.push({
+          type: "revoke",
+          minutes: -earned,
+          at,
+          taskId: task.id,
+          key: getTaskCreditKey(task),
+          completedAt,
+        });
+      }
+    }
+  }
+
+  if (entries.length === 0) return ledger;
+  const nextLedger = [...ledger, ...entries];
+  await chrome.storage.local.set({ [CREDIT_LEDGER_KEY]: nextLedger });
+  return nextLedger;
+}
+
+// ── Pause challenges ────────────────────────────────────────────────
+//
+// Instead of a written justification, a site or group can make a pause
+// cost retyping a random string, a countdown the blocked tab has to stay
+// focused for, or a few sums. The page only gets the prompt; the answer
+// is checked here against what was issued, and countdown time is measured
+// here from tab focus, so nothing can be skipped from the page.
+
+const PAUSE_CHALLENGES = ["justification", "retype", "countdown", "arithmetic"];
+const PAUSE_CHALLENGES_KEY = "pauseChallenges";
+const CHALLENGE_TTL_MINUTES = 15;
+const RETYPE_GROUPS = 6;
+const RETYPE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+const COUNTDOWN_SECONDS = 90;
+const ARITHMETIC_PROBLEMS = 3;
+
+function getPauseChallengeType(site, siteGroups, siteSettings) {
+  const group = resolveGroupForSite(site, siteGroups);
+  if (group && PAUSE_CHALLENGES.includes(group.pauseChallenge)) return group.pauseChallenge;
+  const settings = siteSettings && siteSettings[site];
+  if (settings && PAUSE_CHALLENGES.includes(settings.pauseChallenge)) {
+    return settings.pauseChallenge;
+  }
+  return "justification";
+}
+
+function randomInt(min, max) {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return min + (value % (max - min + 1));
+}
+
+function createChallengeContent(type) {
+  if (type === "retype") {
+    const groups = [];
+    for (let i = 0; i < RETYPE_GROUPS; i++) {
+      let group = "";
+      for (let j = 0; j < 4; j++) {
+        group += RETYPE_ALPHABET[randomInt(0, RETYPE_ALPHABET.length - 1)];
+      }
+      groups.push(group);
+    }
+    return { text: groups.join(" ") };
+  }
+
+  if (type === "arithmetic") {
+    const problems = [];
+    for (let i = 0; i < ARITHMETIC_PROBLEMS; i++) {
+      problems.push({ a: randomInt(12, 49), b: randomInt(3, 9), c: randomInt(10, 99) });
+    }
+    return { problems };
+  }
+
+  return { seconds: COUNTDOWN_SECONDS, focusedMs: 0, focusedSince: null };
+}
+
+function getFocusedMs(challenge, now) {
+  const running = challenge.focusedSince ? now - new Date(challenge.focusedSince) : 0;
+  return challenge.focusedMs + Math.max(0, running);
+}
+
+// What the page may see: never the arithmetic answers.
+function getPublicChallenge(challenge, now = new Date()) {
+  const base = { id: challenge.id, type: challenge.type, expiresAt: challenge.expiresAt };
+
+  if (challenge.type === "retype") return { ...base, text: challenge.text };
+  if (challenge.type === "arithmetic") {
+    return {
+      ...base,
+      problems: challenge.problems.map(({ a, b, c }) => `${a} × ${b} + ${c}`),
+    };
+  }
+  return {
+    ...base,
+    seconds: challenge.seconds,
+    remainingMs: Math.max(0, challenge.seconds * 1000 - getFocusedMs(challenge, now)),
+    focused: Boolean(challenge.focusedSince),
+  };
+}
+
+async function loadPauseChallenges(now = new Date()) {
+  const { [PAUSE_CHALLENGES_KEY]: challenges = {} } =
+    await chrome.storage.session.get(PAUSE_CHALLENGES_KEY);
+  for (const [id, challenge] of Object.entries(challenges)) {
+    if (new Date(challenge.expiresAt) <= now) delete challenges[id];
+  }
+  return challenges;
+}
+
+async function issuePauseChallenge(site, tabId) {
+  const { siteGroups = [], siteSettings = {} } =
+    await chrome.storage.local.get(["siteGroups", "siteSettings"]);
+  const type = getPauseChallengeType(site, siteGroups, siteSettings);
+  if (type === "justification") return { type };
+
+  const now = new Date();
+  const challenges = await loadPauseChallenges(now);
+  const challenge = {
+    id: crypto.randomUUID(),
+    site,
+    type,
+    tabId: typeof tabId === "number" ? tabId : null,
+    expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MINUTES * 60000).toISOString(),
+    ...createChallengeContent(type),
+  };
+
+  if (type === "countdown") {
+    const tab = await findAttendedTab();
+    if (tab && tab.id === challenge.tabId) challenge.focusedSince = now.toISOString();
+  }
+
+  challenges[challenge.id] = challenge;
+  await chrome.storage.session.set({ [PAUSE_CHALLENGES_KEY]: challenges });
+  return getPublicChallenge(challenge, now);
+}
+
+async function getPauseChallengeStatus(id) {
+  const now = new Date();
+  const challenges = await loadPauseChallenges(now);
+  return challenges[id] ? getPublicChallenge(challenges[id], now) : null;
+}
+
+async function verifyPauseChallenge(site, type, proof, now = new Date()) {
+  const challenges = await loadPauseChallenges(now);
+  const challenge = proof && challenges[proof.id];
+  if (!challenge || challenge.site !== site || challenge.type !== type) {
+    throw new Error("Challenge expired — start a new one");
+  }
+
+  if (type === "retype") {
+    const answer = String(proof.answer || "").replace(/\s+/g, "").toLowerCase();
+    if (answer !== challenge.text.replace(/\s+/g, "")) {
+      throw new Error("The text doesn't match");
+    }
+  } else if (type === "arithmetic") {
+    const answers = Array.isArray(proof.answer) ? proof.answer : [];
+    const solved = challenge.problems.every(
+      ({ a, b, c }, i) => Number(answers[i]) === a * b + c
+    );
+    if (!solved) throw new Error("Not all answers are right");
+  } else if (type === "countdown") {
+    if (getFocusedMs(challenge, now) < challenge.seconds * 1000) {
+      throw new Error("Keep this tab focused until the countdown ends");
+    }
+  }
+}
+
+async function consumePauseChallenge(id) {
+  const challenges = await loadPauseChallenges();
+  delete challenges[id];
+  await chrome.storage.session.set({ [PAUSE_CHALLENGES_KEY]: challenges });
+}
+
+// Countdowns only run while their own tab is the attended one. Called on
+// every focus, tab and idle change via refreshActiveSession.
+async function trackChallengeFocus(tab, now) {
+  const challenges = await loadPauseChallenges(now);
+  const countdowns = Object.values(challenges).filter((c) => c.type === "countdown");
+  if (countdowns.length === 0) return;
+
+  for (const challenge of countdowns) {
+    challenge.focusedMs = getFocusedMs(challenge, now);
+    challenge.focusedSince = tab && tab.id === challenge.tabId ? now.toISOString() : null;
+  }
+  await chrome.storage.session.set({ [PAUSE_CHALLENGES_KEY]: challenges });
+}
+
+function isExceptedUrl(site, url, siteGroups, siteSettings) {
+  return getSiteExceptions(site, siteGroups, siteSettings).some((exception) =>
+    siteMatchesUrl(exception, url)
+  );
+}
+
+async function relockSite(site) {
+  const {
+    unlocks = {},
+    timeLog = [],
+    siteGroups = [],
+    siteSettings = {},
+    [CREDIT_LEDGER_KEY]: ledger = [],
+  } = await chrome.storage.local.get([
+    "unlocks",
+    "timeLog",
+    "siteGroups",
+    "siteSettings",
+    CREDIT_LEDGER_KEY,
+  ]);
+
+  const now = new Date().toISOString();
+  let sitesToRelock;
+  let unlockKey = site;
+
+  if (site.startsWith("group:")) {
+    const groupId = site.slice("group:".length);
+    const group = siteGroups.find((g) => g.id === groupId);
+    sitesToRelock = group ? group.sites : [];
+    if (group) group.lastLockedAt = now;
+  } else {
+    const group = resolveGroupForSite(site, siteGroups);
+    if (group) {
+      sitesToRelock = group.sites;
+      unlockKey = `group:${group.id}`;
+      group.lastLockedAt = now;
+    } else {
+      sitesToRelock = [site];
+    }
+  }
+
+  // Bought minutes that weren't used go back to the balance
+  const unlock = unlocks[unlockKey];
+  const refund = getCreditRefund(unlock, new Date(now));
+  if (refund > 0) {
+    ledger.push({ type: "refund", minutes: refund, at: now, site });
+  }
+  delete unlocks[unlockKey];
+  await removeTabUnlockRules(unlock);
+
+  for (const s of sitesToRelock) {
+    delete unlocks[s];
+    const openEntry = timeLog
+      .slice()
+      .reverse()
+      .find((entry) => entry.site === s && entry.type !== "pass" && !entry.lockedAt);
+    if (openEntry) {
+      openEntry.lockedAt = now;
+      if (openEntry.clock === "attended" && unlock && unlock.clock === "attended") {
+        openEntry.usedMs = getAttendedUsedMs(unlock, new Date(now).getTime());
+      }
+    }
+
+    if (!siteSettings[s]) siteSettings[s] = {};
+    siteSettings[s].lastLockedAt = now;
+  }
+
+  await chrome.storage.local.set({
+    unlocks,
+    timeLog,
+    siteGroups,
+    siteSettings,
+    [CREDIT_LEDGER_KEY]: ledger,
+  });
+  await syncBlockingRules();
+
+  // Redirect open tabs for all relocked sites that are inside their window.
+  // Every other tab stayed blocked through a tab unlock.
+  await redirectTabsForSites(
+    sitesToRelock.filter((s) => isSiteScheduledBlocked(s, siteGroups, siteSettings)),
+    siteGroups,
+    siteSettings,
+    unlock && typeof unlock.tabId === "number" ? { tabId: unlock.tabId } : {}
+  );
+}
+
+// `options.tabId` limits the redirect to that tab; `options.unlocks` spares
+// tabs that still hold a tab unlock for the site.
+async function redirectTabsForSites(sites, siteGroups, siteSettings, options = {}) {
+  if (sites.length === 0) return;
+
+  const tabs = await chrome.tabs.query({});
+  for (const s of sites) {
+    for (const tab of tabs) {
+      if (options.tabId !== undefined && tab.id !== options.tabId) continue;
+      if (options.unlocks && isUnlockActive(options.unlocks[s], tab.id)) continue;
+      if (
+        tab.url &&
+        siteMatchesUrl(s, tab.url) &&
+        !isExceptedUrl(s, tab.url, siteGroups, siteSettings)
+      ) {
+        chrome.tabs.update(tab.id, { url: getSiteBlockedPageUrl(s, tab.url) });
+      }
+    }
+  }
+}
+
+// ── Attended unlock clock ───────────────────────────────────────────
+//
+// With unlockClock set to "attended", an unlock only counts down while a
+// tab on the site is the one in front of the user and they aren't idle.
+// A stopped clock keeps what's left in pausedRemainingMs and has no relock
+// alarm; refreshActiveSession starts and stops clocks on every focus, tab
+// and idle change.
+
+function isUnlockClockStopped(unlock) {
+  return typeof unlock.pausedRemainingMs === "number";
+}
+
+function getUnlockExpiry(unlock, now = Date.now()) {
+  if (isUnlockClockStopped(unlock)) return now + unlock.pausedRemainingMs;
+  return new Date(unlock.expiresAt).getTime();
+}
+
+// cooldownMinutes follows cooldown cuts, so it is what the unlock grants now
+function getAttendedUsedMs(unlock, now = Date.now()) {
+  const grantedMs = (unlock.cooldownMinutes || unlock.creditMinutes || 0) * 60000;
+  const remainingMs = Math.max(0, getUnlockExpiry(unlock, now) - now);
+  return Math.max(0, grantedMs - remainingMs);
+}
+
+function isUnlockAttended(sites, unlock, tab) {
+  if (!tab || !tab.url) return false;
+  if (typeof unlock.tabId === "number" && unlock.tabId !== tab.id) return false;
+  return sites.some((site) => siteMatchesUrl(site, tab.url));
+}
+
+async function updateUnlockClocks(tab, now) {
+  const { unlocks = {}, siteGroups = [] } =
+    await chrome.storage.local.get(["unlocks", "siteGroups"]);
+  const nowMs = now.getTime();
+  let changed = false;
+
+  for (const [key, unlock] of Object.entries(unlocks)) {
+    if (unlock.clock !== "attended") continue;
+    // Group members share their group: key's clock
+    if (!key.startsWith("group:") && resolveGroupForSite(key, siteGroups)) continue;
+
+    const group = key.startsWith("group:")
+      ? siteGroups.find((g) => `group:${g.id}` === key) || null
+      : null;
+    const sites = group ? group.sites : [key];
+    const attended = isUnlockAttended(sites, unlock, tab);
+    const stopped = isUnlockClockStopped(unlock);
+    if (attended !== stopped) continue;
+
+    let update;
+    if (attended) {
+      const expiresAt = nowMs + unlock.pausedRemainingMs;
+      update = { expiresAt: new Date(expiresAt).toISOString(), pausedRemainingMs: null };
+      chrome.alarms.create(`relock-${key}`, {
+        delayInMinutes: Math.max(unlock.pausedRemainingMs / 60000, 0.5),
+      });
+    } else {
+      const remaining = new Date(unlock.expiresAt).getTime() - nowMs;
+      if (remaining <= 0) continue; // the relock alarm is due
+      update = { pausedRemainingMs: remaining };
+      chrome.alarms.clear(`relock-${key}`);
+    }
+
+    for (const k of [key, ...sites]) {
+      if (!unlocks[k] || unlocks[k].clock !== "attended") continue;
+      Object.assign(unlocks[k], update);
+      if (update.pausedRemainingMs === null) delete unlocks[k].pausedRemainingMs;
+    }
+    changed = true;
+  }
+
+  if (changed) await chrome.storage.local.set({ unlocks });
+}
+
+// ── Tab unlocks ─────────────────────────────────────────────────────
+//
+// With the unlock scope set to "tab", an unlock adds session allow rules
+// limited to the tab that asked for it, and the global block rules stay
+// in place. The rule ids live on the unlock record so relocking can take
+// them out again.
+
+let _sessionRuleQueue = Promise.resolve();
+
+// Session rule ids are picked past the highest one installed, so adds are
+// queued: two grants reading getSessionRules at once would pick the same id.
+// Resolves to the ids given to `rules`, in order.
+function addSessionRules(rules) {
+  const add = async () => {
+    const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+    const firstId = sessionRules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+    const addRules = rules.map((rule, index) => ({ id: firstId + index, ...rule }));
+    await chrome.declarativeNetRequest.updateSessionRules({ addRules });
+    return addRules.map((rule) => rule.id);
+  };
+  _sessionRuleQueue = _sessionRuleQueue.then(add, add);
+  return _sessionRuleQueue;
+}
+
+function addTabUnlockRules(sites, tabId) {
+  return addSessionRules(
+    sites.map((site) => ({
+      priority: RULE_PRIORITY.tabUnlock,
+      action: { type: "allow" },
+      condition: {
+        regexFilter: siteToRegexFilter(site),
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: ["main_frame"],
+        tabIds: [tabId],
+      },
+    }))
+  );
+}
+
+async function removeTabUnlockRules(unlock) {
+  if (!unlock || !Array.isArray(unlock.tabRuleIds) || unlock.tabRuleIds.length === 0) return;
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: unlock.tabRuleIds });
+}
+
+// A tab unlock can't outlive its tab: closing the tab relocks it, and so
+// does a browser restart or extension update, which drop session rules.
+async function relockTabUnlocks(shouldRelock) {
+  const { unlocks = {}, siteGroups = [] } =
+    await chrome.storage.local.get(["unlocks", "siteGroups"]);
+
+  for (const [key, unlock] of Object.entries(unlocks)) {
+    if (typeof unlock.tabId !== "number" || !shouldRelock(unlock.tabId)) continue;
+    // Group members are relocked through their group: key
+    if (!key.startsWith("group:") && resolveGroupForSite(key, siteGroups)) continue;
+    await relockSite(key);
+  }
+}
+
+// ── One-time URL passes ─────────────────────────────────────────────
+//
+// A pass lets one exact URL through in the tab that asked for it, via a
+// session rule scoped to that tab. It ends as soon as the tab navigates
+// anywhere else or is closed. Active passes are kept in session storage
+// keyed by tab id so they go away with the browser session, like the rules.
+
+function getPassUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  return parsed.href;
+}
+
+async function grantUrlPass(site, url, tabId) {
+  if (typeof tabId !== "number" || tabId < 0) {
+    throw new Error("A pass needs the tab that was blocked");
+  }
+
+  let passUrl;
+  try {
+    passUrl = getPassUrl(url);
+  } catch {
+    throw new Error("Nothing to pass — the blocked URL is unknown");
+  }
+  if (!/^https?:/.test(passUrl)) {
+    throw new Error("Only web pages can be passed");
+  }
+
+  const data = await chrome.storage.local.get([
+    "blockedSites",
+    "siteGroups",
+    "siteSettings",
+    "timeLog",
+  ]);
+  const { blockedSites = [], siteGroups = [], siteSettings = {} } = data;
+  if (!blockedSites.includes(site) || !siteMatchesUrl(site, passUrl)) {
+    throw new Error("That URL is not covered by " + site);
+  }
+
+  const gate = getUnlockGate(site, siteGroups, siteSettings, data.timeLog);
+  if (gate) throw new Error(gate.reason);
+
+  // urlFilter has no escape for its own "*", "^" and "|", which URLs may
+  // contain, so the exact match is an anchored regex instead
+  const regexFilter = "^" + escapeRegexSource(passUrl) + "$";
+  const check = await chrome.declarativeNetRequest.isRegexSupported({ regex: regexFilter });
+  if (!check.isSupported) {
+    throw new Error("That URL is too long to pass");
+  }
+
+  // One pass per tab: a new one replaces whatever the tab had before
+  await revokeUrlPass(tabId);
+
+  const [ruleId] = await addSessionRules([
+    {
+      priority: RULE_PRIORITY.urlPass,
+      action: { type: "allow" },
+      condition: {
+        regexFilter,
+        resourceTypes: ["main_frame"],
+        tabIds: [tabId],
+      },
+    },
+  ]);
+
+  const grantedAt = new Date().toISOString();
+  const { timeLog = [] } = await chrome.storage.local.get("timeLog");
+  timeLog.push({ type: "pass", site, url: passUrl, grantedAt, endedAt: null });
+  await chrome.storage.local.set({ timeLog });
+
+  const { [URL_PASSES_KEY]: passes = {} } = await chrome.storage.session.get(URL_PASSES_KEY);
+  passes[tabId] = { site, url: passUrl, ruleId, grantedAt };
+  await chrome.storage.session.set({ [URL_PASSES_KEY]: passes });
+
+  return passes[tabId];
+}
+
+async function revokeUrlPass(tabId) {
+  const { [URL_PASSES_KEY]: passes = {} } = await chrome.storage.session.get(URL_PASSES_KEY);
+  const pass = passes[tabId];
+  if (!pass) return;
+
+  delete passes[tabId];
+  await chrome.storage.session.set({ [URL_PASSES_KEY]: passes });
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [pass.ruleId] });
+
+  const { timeLog = [] } = await chrome.storage.local.get("timeLog");
+  const entry = timeLog.find(
+    (e) => e.type === "pass" && e.grantedAt === pass.grantedAt && e.url === pass.url
+  );
+  if (entry && !entry.endedAt) {
+    entry.endedAt = new Date().toISOString();
+    await chrome.storage.local.set({ timeLog });
+  }
+}
+
+// True when the tab holds a pass for `url`. A tab that holds a pass for a
+// different URL has navigated away, so its pass is revoked here.
+async function checkUrlPass(tabId, url) {
+  const { [URL_PASSES_KEY]: passes = {} } = await chrome.storage.session.get(URL_PASSES_KEY);
+  const pass = passes[tabId];
+  if (!pass) return false;
+
+  let passUrl = null;
+  try {
+    passUrl = getPassUrl(url);
+  } catch {
+    // Not a URL a pass could cover
+  }
+  if (passUrl === pass.url) return true;
+
+  await revokeUrlPass(tabId);
+  return false;
+}
+
+// ── Deep focus ──────────────────────────────────────────────────────
+//
+// Inverts the blocklist: while active, every http(s) main-frame
+// navigation outside focusMode.allowlist lands on the blocked page.
+// Ending a session early costs the same task requirement as an unlock.
+
+function isFocusActive(focusMode, now = Date.now()) {
+  if (!focusMode || !focusMode.active) return false;
+  return !focusMode.endsAt || new Date(focusMode.endsAt).getTime() > now;
+}
+
+function isFocusAllowlisted(focusMode, url) {
+  return focusMode.allowlist.some((entry) => siteMatchesUrl(entry, url));
+}
+
+// Site exceptions only lift that site's block. While deep focus runs, an
+// excepted URL that isn't on the allowlist stays blocked.
+function isFocusBlockedUrl(focusMode, url) {
+  return (
+    /^https?:$/.test(url.protocol) &&
+    isFocusActive(focusMode) &&
+    !isFocusAllowlisted(focusMode, url)
+  );
+}
+
+async function startFocus(allowlist, durationMinutes) {
+  const now = new Date();
+  const duration = Number.isFinite(durationMinutes) && durationMinutes > 0
+    ? Math.round(durationMinutes)
+    : 0;
+
+  const focusMode = {
+    active: true,
+    allowlist: normalizeSiteList(allowlist),
+    startedAt: now.toISOString(),
+    endsAt: duration
+      ? new Date(now.getTime() + duration * 60000).toISOString()
+      : null,
+  };
+
+  const settings = await chrome.storage.local.get(["blockedSites", "siteGroups", "siteSettings"]);
+  const data = {
+    blockedSites: settings.blockedSites || [],
+    siteGroups: settings.siteGroups || [],
+    siteSettings: settings.siteSettings || {},
+  };
+  const problem = await getRuleLimitProblem(data, { ...data, focusMode });
+  if (problem) throw new Error(problem);
+
+  await chrome.storage.local.set({ focusMode });
+  await syncBlockingRules();
+
+  if (focusMode.endsAt) {
+    chrome.alarms.create(FOCUS_ALARM, { when: new Date(focusMode.endsAt).getTime() });
+  } else {
+    await chrome.alarms.clear(FOCUS_ALARM);
+  }
+
+  return focusMode;
+}
+
+async function stopFocus(options = {}) {
+  const { focusMode = DEFAULT_FOCUS_MODE, tasks = [], config } =
+    await chrome.storage.local.get(["focusMode", "tasks", "config"]);
+
+  if (!options.expired && !isUnlockRequirementMet(tasks, config)) {
+    return null;
+  }
+
+  const nextFocusMode = {
+    ...DEFAULT_FOCUS_MODE,
+    allowlist: Array.isArray(focusMode.allowlist) ? focusMode.allowlist : [],
+  };
+
+  await chrome.storage.local.set({ focusMode: nextFocusMode });
+  await chrome.alarms.clear(FOCUS_ALARM);
+  await syncBlockingRules();
+
+  return nextFocusMode;
+}
+
+async function recreateFocusAlarm() {
+  const { focusMode } = await chrome.storage.local.get("focusMode");
+  if (!focusMode || !focusMode.active || !focusMode.endsAt) return;
+
+  if (isFocusActive(focusMode)) {
+    chrome.alarms.create(FOCUS_ALARM, { when: new Date(focusMode.endsAt).getTime() });
+  } else {
+    await stopFocus({ expired: true });
+  }
+}
+
+// ── Site status (for the blocked page) ──────────────────────────────
+
+async function getSiteStatus(site) {
+  const { siteGroups = [], siteSettings = {}, timeLog = [], unlocks = {}, config } =
+    await chrome.storage.local.get([
+      "siteGroups",
+      "siteSettings",
+      "timeLog",
+      "unlocks",
+      "config",
+    ]);
+
+  const now = new Date();
+  const pausePolicy = normalizeConfig(config).pausePolicy;
+  const schedule = getSiteSchedule(site, siteGroups, siteSettings);
+  const nextFree = schedule ? getNextFreeTime(schedule, now) : null;
+
+  return {
+    scheduled: Boolean(schedule),
+    blockedNow: isSiteScheduledBlocked(site, siteGroups, siteSettings, now),
+    nextFreeAt: nextFree ? nextFree.toISOString() : null,
+    budget: getBudgetStatus(site, siteGroups, siteSettings, timeLog, now, unlocks),
+    unlockGate: getUnlockGate(site, siteGroups, siteSettings, timeLog, now),
+    pauses: getPauseUsage(timeLog, now),
+    pauseGate: getPauseGate(pausePolicy, timeLog, now),
+  };
+}
+
+// ── Alarms ──────────────────────────────────────────────────────────
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name.startsWith("relock-")) {
+    const site = alarm.name.slice("relock-".length);
+    await relockSite(site);
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    await handleScheduleBoundary();
+  } else if (alarm.name === FOCUS_ALARM) {
+    await stopFocus({ expired: true });
+  } else if (alarm.name === COMMITMENT_ALARM) {
+    await applyDuePendingChanges();
+  }
+});
+
+async function recreateRelockAlarms() {
+  const { unlocks = {}, siteGroups = [], siteSettings = {}, config } =
+    await chrome.storage.local.get(["unlocks", "siteGroups", "siteSettings", "config"]);
+  const now = Date.now();
+  const handled = new Set();
+
+  // An unlock never outlasts the cooldown currently configured for it.
+  // Pauses and bought time carry no cooldownMinutes and keep their own
+  // duration.
+  let shortened = false;
+  for (const [key, unlock] of Object.entries(unlocks)) {
+    if (!unlock.cooldownMinutes) continue;
+    const cooldown = getCooldownMinutes(key, siteGroups, siteSettings, config);
+    if (cooldown >= unlock.cooldownMinutes) continue;
+    if (unlock.clock === "attended") {
+      // Attended time doesn't line up with unlockedAt; take the difference
+      // off whatever is left
+      const cutMs = (unlock.cooldownMinutes - cooldown) * 60000;
+      if (isUnlockClockStopped(unlock)) {
+        unlock.pausedRemainingMs = Math.max(0, unlock.pausedRemainingMs - cutMs);
+      } else {
+        unlock.expiresAt = new Date(new Date(unlock.expiresAt).getTime() - cutMs).toISOString();
+      }
+    } else {
+      const capped = new Date(new Date(unlock.unlockedAt).getTime() + cooldown * 60000);
+      if (capped < new Date(unlock.expiresAt)) unlock.expiresAt = capped.toISOString();
+    }
+    unlock.cooldownMinutes = cooldown;
+    shortened = true;
+  }
+  if (shortened) await chrome.storage.local.set({ unlocks });
+
+  // Process group: keys and standalone domain keys
+  for (const [key, unlock] of Object.entries(unlocks)) {
+    // For per-site keys that belong to a group, the group: key alarm covers them
+    if (!key.startsWith("group:") && handled.has(key)) continue;
+
+    const expiresAt = getUnlockExpiry(unlock, now);
+    if (expiresAt > now) {
+      if (isUnlockClockStopped(unlock)) {
+        // updateUnlockClocks sets the alarm once the clock runs again
+        chrome.alarms.clear(`relock-${key}`);
+      } else {
+        const remaining = Math.max((expiresAt - now) / 60000, 0.5);
+        chrome.alarms.create(`relock-${key}`, { delayInMinutes: remaining });
+      }
+      if (key.startsWith("group:")) {
+        // Mark per-site keys so we skip creating duplicate alarms
+        for (const [k, u] of Object.entries(unlocks)) {
+          if (!k.startsWith("group:") && u.expiresAt === unlock.expiresAt) {
+            handled.add(k);
+          }
+        }
+      }
+    } else {
+      await relockSite(key);
+    }
+  }
+}
+
+// ── Active time tracking ────────────────────────────────────────────
+//
+// timeLog records unlock windows; activeTimeLog records the time a blocked
+// site actually had the user's attention: its tab active in the focused
+// window while the machine is not idle. The running segment lives in
+// session storage so it survives the service worker being suspended.
+
+let _activityQueue = Promise.resolve();
+
+function refreshActiveSession() {
+  _activityQueue = _activityQueue.then(_refreshActiveSessionImpl, _refreshActiveSessionImpl);
+  return _activityQueue;
+}
+
+// The tab the user is looking at: active in the focused window, with the
+// machine not idle.
+async function findAttendedTab() {
+  const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (idleState !== "active") return null;
+
+  let focusedWindow;
+  try {
+    focusedWindow = await chrome.windows.getLastFocused();
+  } catch {
+    return null;
+  }
+  if (!focusedWindow || !focusedWindow.focused) return null;
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+  return tab || null;
+}
+
+async function findAttendedBlockedSite(tab) {
+  if (!tab || !tab.url) return null;
+
+  const { blockedSites = [], siteGroups = [], siteSettings = {} } =
+    await chrome.storage.local.get(["blockedSites", "siteGroups", "siteSettings"]);
+
+  return (
+    blockedSites.find(
+      (site) =>
+        siteMatchesUrl(site, tab.url) &&
+        !isExceptedUrl(site, tab.url, siteGroups, siteSettings)
+    ) || null
+  );
+}
+
+async function _refreshActiveSessionImpl() {
+  const now = new Date();
+  const tab = await findAttendedTab();
+  await trackChallengeFocus(tab, now);
+  await updateUnlockClocks(tab, now);
+
+  const site = await findAttendedBlockedSite(tab);
+  const { [ACTIVE_SESSION_KEY]: session } =
+    await chrome.storage.session.get(ACTIVE_SESSION_KEY);
+
+  if (session && session.site === site) return;
+
+  if (session) {
+    await appendActiveTime(session.site, session.startedAt, now.toISOString());
+  }
+
+  if (site) {
+    await chrome.storage.session.set({
+      [ACTIVE_SESSION_KEY]: { site, startedAt: now.toISOString() },
+    });
+  } else {
+    await chrome.storage.session.remove(ACTIVE_SESSION_KEY);
+  }
+}
+
+// Summaries read activeTimeLog straight from storage, so the running
+// segment is written up to now before state is handed out. It carries on
+// from there as a continuation of the same entry.
+function flushActiveSession() {
+  _activityQueue = _activityQueue.then(_flushActiveSessionImpl, _flushActiveSessionImpl);
+  return _activityQueue;
+}
+
+async function _flushActiveSessionImpl() {
+  const { [ACTIVE_SESSION_KEY]: session } =
+    await chrome.storage.session.get(ACTIVE_SESSION_KEY);
+  if (!session) return;
+
+  const now = new Date().toISOString();
+  if (new Date(now) - new Date(session.startedAt) < 1000) return;
+
+  await appendActiveTime(session.site, session.startedAt, now);
+  await chrome.storage.session.set({
+    [ACTIVE_SESSION_KEY]: { ...session, startedAt: now },
+  });
+}
+
+async function appendActiveTime(site, startedAt, endedAt) {
+  if (new Date(endedAt) - new Date(startedAt) < 1000) return;
+
+  const { activeTimeLog = [] } = await chrome.storage.local.get("activeTimeLog");
+  const cutoff = Date.now() - ACTIVE_LOG_RETENTION_DAYS * 86400000;
+
+  const next = activeTimeLog.filter(
+    (entry) => new Date(entry.endedAt).getTime() >= cutoff
+  );
+  // A flushed segment picks up exactly where its entry ended
+  const last = next[next.length - 1];
+  if (last && last.site === site && last.endedAt === startedAt) {
+    last.endedAt = endedAt;
+  } else {
+    next.push({ site, startedAt, endedAt });
+  }
+
+  await chrome.storage.local.set({ activeTimeLog: next });
+}
+
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+
+chrome.idle.onStateChanged.addListener(() => {
+  void refreshActiveSession();
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  void refreshActiveSession();
+});
+
+chrome.tabs.onActivated.addListener(() => {
+  void refreshActiveSession();
+});
+
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) void refreshActiveSession();
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  void refreshActiveSession();
+  void revokeUrlPass(tabId);
+  void relockTabUnlocks((id) => id === tabId);
+});
+
+// ── Navigation fallback (catches service-worker-cached pages) ───────
+
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+  if (details.frameId !== 0) return;
+  if (details.url.startsWith("chrome") || details.url.startsWith("about")) return;
+  void guardNavigation(details);
+});
+
+// In-page navigations never reach DNR, so a passed tab is re-checked here.
+chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+  if (details.frameId !== 0) return;
+  const { [URL_PASSES_KEY]: passes = {} } = await chrome.storage.session.get(URL_PASSES_KEY);
+  if (!passes[details.tabId]) return;
+  void guardNavigation(details);
+});
+
+async function guardNavigation(details) {
+  let url;
+  try {
+    url = new URL(details.url);
+  } catch {
+    return;
+  }
+
+  if (await checkUrlPass(details.tabId, details.url)) return;
+
+  const {
+    blockedSites = [],
+    unlocks = {},
+    siteGroups = [],
+    siteSettings = {},
+    focusMode = DEFAULT_FOCUS_MODE,
+  } = await chrome.storage.local.get([
+    "blockedSites",
+    "unlocks",
+    "siteGroups",
+    "siteSettings",
+    "focusMode",
+  ]);
+
+  const now = Date.now();
+  const focusBlocked = isFocusBlockedUrl(focusMode, url);
+  // A path entry can stay blocked while its domain entry is unlocked,
+  // so pick the first matching entry that is still locked.
+  const matchedSite = blockedSites.find((site) => {
+    if (!siteMatchesUrl(site, url)) return false;
+    if (!focusBlocked && isExceptedUrl(site, url, siteGroups, siteSettings)) return false;
+    if (!isSiteScheduledBlocked(site, siteGroups, siteSettings)) return false;
+    return !isUnlockActive(unlocks[site], details.tabId, now);
+  });
+
+  if (!matchedSite) {
+    if (focusBlocked) {
+      chrome.tabs.update(details.tabId, {
+        url: getBlockedPageUrl("mode=focus", details.url),
+      });
+    }
+    return;
+  }
+
+  chrome.tabs.update(details.tabId, {
+    url: getSiteBlockedPageUrl(matchedSite, details.url),
+  });
+}
+
+// ── Streak tracking ─────────────────────────────────────────────────
+
+async function updateStreak() {
+  const {
+    tasks = [],
+    config,
+    streak = { current: 0, longest: 0, lastDate: null },
+  } = await chrome.storage.local.get(["tasks", "config", "streak"]);
+
+  if (!isUnlockRequirementMet(tasks, config)) return;
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (streak.lastDate === today) return; // already counted today
+
+  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+  if (streak.lastDate === yesterday) {
+    streak.current += 1;
+  } else {
+    streak.current = 1;
+  }
+
+  if (streak.current > streak.longest) {
+    streak.longest = streak.current;
+  }
+  streak.lastDate = today;
+
+  await chrome.storage.local.set({ streak });
+}
+
+// ── Settings changes & commitment lock ──────────────────────────────
+//
+// Edits to the blocklist, groups, site settings and config are applied to
+// a copy of the stored settings first. While the commitment lock is on, an
+// edit that leaves any blocked site less restricted than before is not
+// saved; it is queued and applied once the lock's delay has passed.
+
+const SETTINGS_KEYS = [
+  "blockedSites",
+  "siteGroups",
+  "siteSettings",
+  "config",
+  "unlocks",
+  "commitment",
+];
+
+async function loadSettingsState() {
+  const data = await chrome.storage.local.get(SETTINGS_KEYS);
+  return {
+    blockedSites: Array.isArray(data.blockedSites) ? data.blockedSites : [],
+    siteGroups: Array.isArray(data.siteGroups) ? data.siteGroups : [],
+    siteSettings: data.siteSettings || {},
+    config: normalizeConfig(data.config),
+    unlocks: data.unlocks || {},
+    commitment: normalizeCommitment(data.commitment),
+  };
+}
+
+function normalizeCommitment(commitment) {
+  const base = commitment && typeof commitment === "object" ? commitment : {};
+  const delayHours = Math.round(Number(base.delayHours));
+  return {
+    active: base.active === true,
+    delayHours:
+      delayHours >= 1
+        ? Math.min(delayHours, MAX_COMMITMENT_DELAY_HOURS)
+        : DEFAULT_COMMITMENT.delayHours,
+  };
+}
+
+async function guardSettingsChange(msg) {
+  const before = await loadSettingsState();
+  const after = structuredClone(before);
+  const result = applySettingsChange(msg, after);
+  if (!result.ok) return result;
+  const problem = await getRuleLimitProblem(before, after);
+  if (problem) return { ok: false, error: problem };
+
+  if (before.commitment.active && loosensRestrictions(before, after)) {
+    return queueSettingsChange(msg, before);
+  }
+
+  await saveSettingsState(before, after);
+  await finishSettingsChange(msg);
+  return result;
+}
+
+// Queued changes are replayed against the settings as they are by then,
+// not as they were when the change was requested.
+async function commitSettingsChange(msg) {
+  const before = await loadSettingsState();
+  const after = structuredClone(before);
+  const result = applySettingsChange(msg, after);
+  if (!result.ok) return result;
+  const problem = await getRuleLimitProblem(before, after);
+  if (problem) return { ok: false, error: problem };
+
+  await saveSettingsState(before, after);
+  await finishSettingsChange(msg);
+  return result;
+}
+
+async function saveSettingsState(before, after) {
+  const updates = {};
+  for (const key of SETTINGS_KEYS) {
+    if (stableStringify(before[key]) !== stableStringify(after[key])) {
+      updates[key] = after[key];
+    }
+  }
+  if (Object.keys(updates).length > 0) {
+    await chrome.storage.local.set(updates);
+  }
+}
+
+async function finishSettingsChange(msg) {
+  if (msg.type === "removeGroup") {
+    await chrome.alarms.clear(`relock-group:${msg.id}`);
+  }
+  // Cooldown overrides may have shortened running unlocks
+  await recreateRelockAlarms();
+}
+
+// Mutates `data` (see loadSettingsState) and returns the message response.
+function applySettingsChange(msg, data) {
+  switch (msg.type) {
+    case "removeSite": {
+      data.blockedSites = data.blockedSites.filter((site) => site !== msg.site);
+      data.siteGroups = data.siteGroups.map((g) => ({
+        ...g,
+        sites: g.sites.filter((s) => s !== msg.site),
+      })).filter((g) => g.sites.length > 0);
+      delete data.siteSettings[msg.site];
+      return { ok: true, blockedSites: data.blockedSites };
+    }
+
+    case "addGroup": {
+      const groupSites = Array.from(
+        new Set((msg.sites || []).filter((s) => typeof s === "string"))
+      );
+      // Validate no site is already in another group
+      for (const s of groupSites) {
+        const existing = resolveGroupForSite(s, data.siteGroups);
+        if (existing) {
+          return { ok: false, error: `${s} is already in group "${existing.name}"` };
+        }
+      }
+      const group = {
+        id: msg.id,
+        name: (msg.name || "Untitled Group").trim(),
+        sites: groupSites,
+        cost: null,
+        costEscalation: null,
+        exceptions: [],
+        schedule: [],
+        dailyBudgetMinutes: null,
+        blockEmbeds: false,
+        cooldownMinutes: null,
+        maxUnlocksPerDay: null,
+        relockGapMinutes: null,
+        pauseChallenge: null,
+        lastLockedAt: new Date().toISOString(),
+      };
+      applyRestrictionFields(group, msg);
+      data.siteGroups.push(group);
+      // Ensure member sites are in blockedSites
+      for (const s of groupSites) {
+        if (!data.blockedSites.includes(s)) data.blockedSites.push(s);
+      }
+      return { ok: true, group };
+    }
+
+    case "removeGroup": {
+      const idx = data.siteGroups.findIndex((g) => g.id === msg.id);
+      if (idx === -1) return { ok: false, error: "Group not found" };
+      delete data.unlocks[`group:${msg.id}`];
+      data.siteGroups.splice(idx, 1);
+      return { ok: true };
+    }
+
+    case "updateGroup": {
+      const group = data.siteGroups.find((g) => g.id === msg.id);
+      if (!group) return { ok: false, error: "Group not found" };
+      const newSites = msg.sites || group.sites;
+      // Validate no site in multiple groups
+      for (const s of newSites) {
+        const existing = resolveGroupForSite(s, data.siteGroups);
+        if (existing && existing.id !== msg.id) {
+          return { ok: false, error: `${s} is already in group "${existing.name}"` };
+        }
+      }
+      if (msg.name !== undefined) group.name = (msg.name || "").trim();
+      if (msg.sites !== undefined) group.sites = newSites;
+      applyRestrictionFields(group, msg);
+      return { ok: true, group };
+    }
 
-  const duration = [5, 15, 30].includes(durationMinutes) ? durationMinutes : 5;
-  const { blockedSites = [], unlocks = {}, timeLog = [], siteGroups = [] } =
-    await chrome.storage.local.get(["blockedSites", "unlocks", "timeLog", "siteGroups"]);
+    case "updateSiteSettings": {
+      if (!data.siteSettings[msg.site]) data.siteSettings[msg.site] = {};
+      applyRestrictionFields(data.siteSettings[msg.site], msg);
+      return { ok: true, siteSettings: data.siteSettings };
+    }
 
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + duration * 60000).toISOString();
+    case "updateConfig": {
+      data.config = normalizeConfig({ ...data.config, ...msg.config });
+      return { ok: true, config: data.config };
+    }
 
-  const group = resolveGroupForSite(site, siteGroups);
-  const sitesToPause = group ? group.sites : [site];
-  const removeRuleIds = [];
+    case "setCommitment": {
+      data.commitment = normalizeCommitment({ ...data.commitment, ...msg.commitment });
+      return { ok: true, commitment: data.commitment };
+    }
 
-  for (const s of sitesToPause) {
-    unlocks[s] = { unlockedAt: now.toISOString(), expiresAt };
-    const idx = blockedSites.indexOf(s);
-    if (idx !== -1) removeRuleIds.push(RULE_ID_BASE + idx);
+    default:
+      return { ok: false, error: "unknown settings change" };
   }
+}
 
-  // Only log the site the user actually visited
-  timeLog.push({
-    site,
-    unlockedAt: now.toISOString(),
-    lockedAt: null,
-    paused: true,
-    justification: justification.trim(),
-  });
+// Shared by groups and site settings; fields missing from `msg` are kept.
+function applyRestrictionFields(target, msg) {
+  const limit = (value) => (value >= 1 ? Math.round(value) : null);
 
-  if (group) {
-    unlocks[`group:${group.id}`] = { unlockedAt: now.toISOString(), expiresAt };
+  if (msg.cost !== undefined) target.cost = limit(msg.cost);
+  if (msg.costEscalation !== undefined) {
+    target.costEscalation = normalizeCostEscalation(msg.costEscalation);
+  }
+  if (msg.exceptions !== undefined) target.exceptions = normalizeSiteList(msg.exceptions);
+  if (msg.schedule !== undefined) target.schedule = normalizeSchedule(msg.schedule);
+  if (msg.dailyBudgetMinutes !== undefined) {
+    target.dailyBudgetMinutes = limit(msg.dailyBudgetMinutes);
+  }
+  if (msg.blockEmbeds !== undefined) target.blockEmbeds = msg.blockEmbeds === true;
+  if (msg.cooldownMinutes !== undefined) target.cooldownMinutes = limit(msg.cooldownMinutes);
+  if (msg.maxUnlocksPerDay !== undefined) target.maxUnlocksPerDay = limit(msg.maxUnlocksPerDay);
+  if (msg.relockGapMinutes !== undefined) target.relockGapMinutes = limit(msg.relockGapMinutes);
+  // null leaves a group's sites on their own challenge
+  if (msg.pauseChallenge !== undefined) {
+    target.pauseChallenge = PAUSE_CHALLENGES.includes(msg.pauseChallenge)
+      ? msg.pauseChallenge
+      : null;
   }
+}
 
-  await chrome.storage.local.set({ unlocks, timeLog });
+// Unlock prices are compared this many unlocks deep, which covers any
+// realistic escalation curve.
+const PRICE_LOOKAHEAD = 16;
 
-  if (removeRuleIds.length > 0) {
-    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds });
+// The restrictions a site ends up with once group precedence is resolved.
+function getSiteRestrictions(site, data) {
+  const { siteGroups, siteSettings, config } = data;
+  const group = resolveGroupForSite(site, siteGroups);
+  const settings = siteSettings[site] || {};
+  const prices = [];
+  for (let i = 0; i < PRICE_LOOKAHEAD; i++) {
+    prices.push(getCostForUnlock(site, siteGroups, siteSettings, i));
   }
 
-  const alarmName = group ? `relock-group:${group.id}` : `relock-${site}`;
-  chrome.alarms.create(alarmName, { delayInMinutes: duration });
+  return {
+    prices,
+    exceptions: getSiteExceptions(site, siteGroups, siteSettings),
+    schedule: getSiteSchedule(site, siteGroups, siteSettings),
+    dailyBudgetMinutes: getDailyBudget(site, siteGroups, siteSettings),
+    blockEmbeds: isEmbedBlockingEnabled(site, siteGroups, siteSettings),
+    cooldownMinutes: getCooldownMinutes(site, siteGroups, siteSettings, config),
+    maxUnlocksPerDay: getGroupOrSiteLimit(group, settings, "maxUnlocksPerDay"),
+    relockGapMinutes: getGroupOrSiteLimit(group, settings, "relockGapMinutes"),
+    pauseChallenge: getPauseChallengeType(site, siteGroups, siteSettings),
+    unlockScope: normalizeConfig(config).unlockScope,
+    unlockClock: normalizeConfig(config).unlockClock,
+  };
+}
 
-  return unlocks[site];
+// A limit that was set and is now higher or gone
+function isLimitRaised(before, after) {
+  return before !== null && (after === null || after > before);
 }
 
-async function relockSite(site) {
-  const { unlocks = {}, timeLog = [], siteGroups = [], siteSettings = {} } =
-    await chrome.storage.local.get(["unlocks", "timeLog", "siteGroups", "siteSettings"]);
+function isLimitLowered(before, after) {
+  return before !== null && (after === null || after < before);
+}
 
-  const now = new Date().toISOString();
-  let sitesToRelock;
+// Only a strictly higher task count is a safe change; dropping back to the
+// global rule (null) or switching away from it could go either way.
+function isPriceLowered(before, after) {
+  return before.some((price, i) => {
+    if (price === after[i]) return false;
+    return !(price !== null && after[i] !== null && after[i] > price);
+  });
+}
 
-  if (site.startsWith("group:")) {
-    const groupId = site.slice("group:".length);
-    const group = siteGroups.find((g) => g.id === groupId);
-    sitesToRelock = group ? group.sites : [];
-    delete unlocks[site];
-    if (group) group.lastLockedAt = now;
-  } else {
-    const group = resolveGroupForSite(site, siteGroups);
-    if (group) {
-      sitesToRelock = group.sites;
-      delete unlocks[`group:${group.id}`];
-      group.lastLockedAt = now;
-    } else {
-      sitesToRelock = [site];
-    }
-  }
+// No schedule means always blocked. Any other change to the windows may
+// open up time that used to be blocked.
+function isScheduleLoosened(before, after) {
+  if (after === null) return false;
+  return stableStringify(before) !== stableStringify(after);
+}
 
-  for (const s of sitesToRelock) {
-    delete unlocks[s];
-    const openEntry = timeLog
-      .slice()
-      .reverse()
-      .find((entry) => entry.site === s && !entry.lockedAt);
-    if (openEntry) openEntry.lockedAt = now;
+function isSiteLoosened(site, before, after) {
+  const a = getSiteRestrictions(site, before);
+  const b = getSiteRestrictions(site, after);
+  return (
+    isPriceLowered(a.prices, b.prices) ||
+    b.exceptions.some((exception) => !a.exceptions.includes(exception)) ||
+    isScheduleLoosened(a.schedule, b.schedule) ||
+    isLimitRaised(a.dailyBudgetMinutes, b.dailyBudgetMinutes) ||
+    (a.blockEmbeds && !b.blockEmbeds) ||
+    b.cooldownMinutes > a.cooldownMinutes ||
+    isLimitRaised(a.maxUnlocksPerDay, b.maxUnlocksPerDay) ||
+    isLimitLowered(a.relockGapMinutes, b.relockGapMinutes) ||
+    // The challenges don't rank against each other, so any switch counts
+    a.pauseChallenge !== b.pauseChallenge ||
+    (a.unlockScope === "tab" && b.unlockScope !== "tab") ||
+    (a.unlockClock === "wall" && b.unlockClock !== "wall")
+  );
+}
 
-    if (!siteSettings[s]) siteSettings[s] = {};
-    siteSettings[s].lastLockedAt = now;
-  }
+function isPausePolicyLoosened(before, after) {
+  return (
+    Math.max(...after.durations) > Math.max(...before.durations) ||
+    after.minJustification < before.minJustification ||
+    isLimitRaised(before.maxPerDay, after.maxPerDay) ||
+    isLimitRaised(before.maxPerWeek, after.maxPerWeek) ||
+    after.cooldownMinutes < before.cooldownMinutes
+  );
+}
 
-  await chrome.storage.local.set({ unlocks, timeLog, siteGroups, siteSettings });
-  await syncBlockingRules();
+// Switching between task costs and credits either way can open a site
+// sooner; within credit mode, anything that earns more is looser.
+function isCreditsLoosened(before, after) {
+  if (before.enabled !== after.enabled) return true;
+  if (!after.enabled) return false;
+  if (after.minutesPerTask > before.minutesPerTask) return true;
+  const sections = new Set([
+    ...Object.keys(before.sectionWeights),
+    ...Object.keys(after.sectionWeights),
+  ]);
+  return Array.from(sections).some(
+    (section) =>
+      getSectionWeight(after.sectionWeights, section) >
+      getSectionWeight(before.sectionWeights, section)
+  );
+}
 
-  // Redirect open tabs for all relocked sites
-  const tabs = await chrome.tabs.query({});
-  for (const s of sitesToRelock) {
-    const blockedUrl = chrome.runtime.getURL(
-      "/blocked.html?site=" + encodeURIComponent(s)
-    );
-    for (const tab of tabs) {
-      if (tab.url) {
-        try {
-          const url = new URL(tab.url);
-          if (url.hostname === s || url.hostname.endsWith("." + s)) {
-            chrome.tabs.update(tab.id, { url: blockedUrl });
-          }
-        } catch {
-          // ignore invalid URLs
-        }
-      }
-    }
-  }
+function isConfigLoosened(before, after) {
+  if (before.markdownPath !== after.markdownPath) return true;
+  if (isPausePolicyLoosened(before.pausePolicy, after.pausePolicy)) return true;
+  if (isCreditsLoosened(before.credits, after.credits)) return true;
+  if (before.unlockScope === "tab" && after.unlockScope !== "tab") return true;
+  if (before.unlockClock === "wall" && after.unlockClock !== "wall") return true;
+  if (before.unlockMode === "all") return after.unlockMode !== "all";
+  return after.unlockMode === "section" && before.unlockSection !== after.unlockSection;
 }
 
-// ── Alarms ──────────────────────────────────────────────────────────
+function loosensRestrictions(before, after) {
+  if (before.blockedSites.some((site) => !after.blockedSites.includes(site))) return true;
 
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name.startsWith("relock-")) {
-    const site = alarm.name.slice("relock-".length);
-    await relockSite(site);
-  }
-});
+  // Sites that are new in `after` can only add restrictions
+  const loosenedSite = after.blockedSites.some(
+    (site) => before.blockedSites.includes(site) && isSiteLoosened(site, before, after)
+  );
+  if (loosenedSite) return true;
 
-async function recreateRelockAlarms() {
-  const { unlocks = {} } = await chrome.storage.local.get("unlocks");
-  const now = Date.now();
-  const handled = new Set();
+  if (isConfigLoosened(before.config, after.config)) return true;
+  return (
+    !after.commitment.active ||
+    after.commitment.delayHours < before.commitment.delayHours
+  );
+}
 
-  // Process group: keys and standalone domain keys
-  for (const [key, unlock] of Object.entries(unlocks)) {
-    // For per-site keys that belong to a group, the group: key alarm covers them
-    if (!key.startsWith("group:") && handled.has(key)) continue;
+function describeSettingsChange(msg, data) {
+  const group = data.siteGroups.find((g) => g.id === msg.id);
+  const groupName = group ? `"${group.name}"` : "group";
 
-    const expiresAt = new Date(unlock.expiresAt).getTime();
-    if (expiresAt > now) {
-      const remaining = Math.max((expiresAt - now) / 60000, 0.5);
-      chrome.alarms.create(`relock-${key}`, { delayInMinutes: remaining });
-      if (key.startsWith("group:")) {
-        // Mark per-site keys so we skip creating duplicate alarms
-        for (const [k, u] of Object.entries(unlocks)) {
-          if (!k.startsWith("group:") && u.expiresAt === unlock.expiresAt) {
-            handled.add(k);
-          }
-        }
-      }
-    } else {
-      await relockSite(key);
-    }
+  switch (msg.type) {
+    case "removeSite":
+      return `Remove ${msg.site}`;
+    case "addGroup":
+      return `Add group "${(msg.name || "Untitled Group").trim()}"`;
+    case "removeGroup":
+      return `Delete ${groupName}`;
+    case "updateGroup":
+      return `Edit ${groupName}`;
+    case "updateSiteSettings":
+      return `Edit ${msg.site}`;
+    case "updateConfig":
+      return "Change settings";
+    case "setCommitment":
+      return msg.commitment && msg.commitment.active === false
+        ? "Turn off commitment lock"
+        : "Shorten commitment delay";
+    default:
+      return msg.type;
   }
 }
 
-// ── Navigation fallback (catches service-worker-cached pages) ───────
+async function queueSettingsChange(msg, data) {
+  const { pendingChanges = [] } = await chrome.storage.local.get("pendingChanges");
+  const now = new Date();
+  const change = {
+    id: crypto.randomUUID(),
+    message: msg,
+    summary: describeSettingsChange(msg, data),
+    requestedAt: now.toISOString(),
+    appliesAt: new Date(now.getTime() + data.commitment.delayHours * 3600000).toISOString(),
+  };
 
-chrome.webNavigation.onBeforeNavigate.addListener((details) => {
-  if (details.frameId !== 0) return;
-  if (details.url.startsWith("chrome") || details.url.startsWith("about")) return;
-  void guardNavigation(details);
-});
+  pendingChanges.push(change);
+  await chrome.storage.local.set({ pendingChanges });
+  await armCommitmentAlarm(pendingChanges);
 
-async function guardNavigation(details) {
-  let hostname;
-  try {
-    hostname = new URL(details.url).hostname;
-  } catch {
-    return;
-  }
+  return { ok: true, queued: true, change };
+}
 
-  const { blockedSites = [], unlocks = {} } = await chrome.storage.local.get([
-    "blockedSites",
-    "unlocks",
-  ]);
+async function cancelPendingChange(id) {
+  const { pendingChanges = [] } = await chrome.storage.local.get("pendingChanges");
+  const remaining = pendingChanges.filter((change) => change.id !== id);
+  await chrome.storage.local.set({ pendingChanges: remaining });
+  await armCommitmentAlarm(remaining);
+  return remaining;
+}
 
+async function applyDuePendingChanges() {
+  const { pendingChanges = [] } = await chrome.storage.local.get("pendingChanges");
   const now = Date.now();
-  const matchedSite = blockedSites.find(
-    (site) => hostname === site || hostname.endsWith("." + site)
+  const due = pendingChanges.filter(
+    (change) => !change.error && new Date(change.appliesAt).getTime() <= now
   );
+  const remaining = pendingChanges.filter((change) => !due.includes(change));
 
-  if (!matchedSite) return;
+  if (due.length > 0) {
+    await chrome.storage.local.set({ pendingChanges: remaining });
+  }
 
-  const unlock = unlocks[matchedSite];
-  if (unlock && new Date(unlock.expiresAt).getTime() > now) return;
+  // A change that no longer applies stays listed with its error until it
+  // is dismissed
+  const failed = [];
+  for (const change of due) {
+    const result = await commitSettingsChange(change.message);
+    if (!result.ok) {
+      failed.push({ ...change, error: result.error, failedAt: new Date().toISOString() });
+    }
+  }
 
-  const blockedUrl = chrome.runtime.getURL(
-    "/blocked.html?site=" + encodeURIComponent(matchedSite)
-  );
+  if (failed.length > 0) {
+    const { pendingChanges: latest = [] } = await chrome.storage.local.get("pendingChanges");
+    await chrome.storage.local.set({ pendingChanges: [...latest, ...failed] });
+  }
 
-  chrome.tabs.update(details.tabId, { url: blockedUrl });
+  await armCommitmentAlarm(remaining);
 }
 
-// ── Streak tracking ─────────────────────────────────────────────────
-
-async function updateStreak() {
-  const {
-    tasks = [],
-    config,
-    streak = { current: 0, longest: 0, lastDate: null },
-  } = await chrome.storage.local.get(["tasks", "config", "streak"]);
-
-  if (!isUnlockRequirementMet(tasks, config)) return;
-
-  const today = new Date().toISOString().slice(0, 10);
-  if (streak.lastDate === today) return; // already counted today
-
-  const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-
-  if (streak.lastDate === yesterday) {
-    streak.current += 1;
-  } else {
-    streak.current = 1;
-  }
-
-  if (streak.current > streak.longest) {
-    streak.longest = streak.current;
+async function armCommitmentAlarm(pendingChanges) {
+  const waiting = pendingChanges.filter((change) => !change.error);
+  if (waiting.length === 0) {
+    await chrome.alarms.clear(COMMITMENT_ALARM);
+    return;
   }
-  streak.lastDate = today;
 
-  await chrome.storage.local.set({ streak });
+  const next = Math.min(...waiting.map((change) => new Date(change.appliesAt).getTime()));
+  chrome.alarms.create(COMMITMENT_ALARM, { when: Math.max(next, Date.now() + 1000) });
 }
 
 // ── Backups & Sync ──────────────────────────────────────────────────
@@ -506,9 +2882,11 @@ async function buildLocalBackupSnapshot() {
     "config",
     "streak",
     "timeLog",
+    "activeTimeLog",
     "unlocks",
     "siteGroups",
     "siteSettings",
+    CREDIT_LEDGER_KEY,
   ]);
 
   return {
@@ -519,9 +2897,11 @@ async function buildLocalBackupSnapshot() {
     config: normalizeConfig(state.config || {}),
     streak: state.streak || { ...DEFAULT_STREAK },
     timeLog: Array.isArray(state.timeLog) ? state.timeLog : [],
+    activeTimeLog: Array.isArray(state.activeTimeLog) ? state.activeTimeLog : [],
     unlocks: state.unlocks && typeof state.unlocks === "object" ? state.unlocks : {},
     siteGroups: Array.isArray(state.siteGroups) ? state.siteGroups : [],
     siteSettings: state.siteSettings && typeof state.siteSettings === "object" ? state.siteSettings : {},
+    creditLedger: Array.isArray(state[CREDIT_LEDGER_KEY]) ? state[CREDIT_LEDGER_KEY] : [],
   };
 }
 
@@ -546,6 +2926,10 @@ async function buildSyncSnapshot() {
       cooldownMinutes: cfg.cooldownMinutes,
       unlockMode: cfg.unlockMode,
       unlockSection: cfg.unlockSection,
+      unlockScope: cfg.unlockScope,
+      unlockClock: cfg.unlockClock,
+      pausePolicy: cfg.pausePolicy,
+      credits: cfg.credits,
     },
     streak: state.streak || { ...DEFAULT_STREAK },
     siteGroups: Array.isArray(state.siteGroups) ? state.siteGroups : [],
@@ -652,15 +3036,23 @@ async function saveLocalBackup() {
   };
 }
 
+// Restores also bring back the time log and credit ledger, which the
+// settings diff can't weigh, so they are refused outright under a
+// commitment lock.
 async function applySnapshot(snapshot, options = {}) {
   const fromSync = Boolean(options.fromSync);
-  const current = await chrome.storage.local.get(["config"]);
+  const current = await chrome.storage.local.get(["config", "commitment"]);
+  if (normalizeCommitment(current.commitment).active) {
+    throw new Error("Turn off the commitment lock before restoring");
+  }
 
   const incomingConfig = normalizeConfig(snapshot.config || {});
   const currentConfig = normalizeConfig(current.config || {});
   if (fromSync) {
-    // markdownPath is device-specific, keep the local value.
+    // markdownPath and taskFormat come from this device's native host
+    // config, keep the local values.
     incomingConfig.markdownPath = currentConfig.markdownPath;
+    incomingConfig.taskFormat = currentConfig.taskFormat;
   }
 
   const nextState = {
@@ -669,11 +3061,23 @@ async function applySnapshot(snapshot, options = {}) {
     config: incomingConfig,
     streak: snapshot.streak || { ...DEFAULT_STREAK },
     timeLog: Array.isArray(snapshot.timeLog) ? snapshot.timeLog : [],
+    activeTimeLog: Array.isArray(snapshot.activeTimeLog) ? snapshot.activeTimeLog : [],
     unlocks: snapshot.unlocks && typeof snapshot.unlocks === "object" ? snapshot.unlocks : {},
     siteGroups: Array.isArray(snapshot.siteGroups) ? snapshot.siteGroups : [],
     siteSettings: snapshot.siteSettings && typeof snapshot.siteSettings === "object" ? snapshot.siteSettings : {},
   };
 
+  const limitProblem = await getRuleLimitProblem(
+    { blockedSites: [], siteGroups: [], siteSettings: {} },
+    nextState
+  );
+  if (limitProblem) throw new Error(limitProblem);
+
+  // Sync snapshots carry no ledger; keep the local balance then
+  if (Array.isArray(snapshot.creditLedger)) {
+    nextState[CREDIT_LEDGER_KEY] = snapshot.creditLedger;
+  }
+
   await chrome.storage.local.set(nextState);
   await syncBlockingRules();
 
@@ -741,7 +3145,13 @@ async function getBackupStatus() {
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area !== "local") return;
 
-  if (changes.blockedSites || changes.unlocks) {
+  if (
+    changes.blockedSites ||
+    changes.unlocks ||
+    changes.siteGroups ||
+    changes.siteSettings ||
+    changes.focusMode
+  ) {
     syncBlockingRules();
   }
 
@@ -762,7 +3172,9 @@ function connectNativeHost() {
 
     nativePort.onMessage.addListener(async (msg) => {
       if (msg.type === "tasks") {
+        const { tasks: previousTasks } = await chrome.storage.local.get("tasks");
         await chrome.storage.local.set({ tasks: msg.tasks });
+        await recordTaskCredits(previousTasks, msg.tasks);
       } else if (msg.type === "config") {
         const { config } = await chrome.storage.local.get("config");
         const nextConfig = normalizeConfig({ ...config, ...msg.config });
@@ -773,6 +3185,8 @@ function connectNativeHost() {
     nativePort.onDisconnect.addListener(() => {
       nativePort = null;
     });
+
+    requestNativeTasks(nativePort);
   } catch {
     nativePort = null;
   }
@@ -791,37 +3205,68 @@ function sendToNativeHost(msg) {
   }
 }
 
+// Asks the host to re-read the file, handing it our task list so it can
+// keep ids and completion times for tasks that are still there.
+// A freshly opened port is passed in so a host that drops straight away
+// doesn't trigger another connect.
+async function requestNativeTasks(port) {
+  const { tasks } = await chrome.storage.local.get("tasks");
+  const msg = { type: "read", tasks: Array.isArray(tasks) ? tasks : [] };
+  if (!port) {
+    sendToNativeHost(msg);
+    return;
+  }
+  try {
+    port.postMessage(msg);
+  } catch {
+    // The host went away; the next send reconnects.
+  }
+}
+
 // ── Message handling (from popup & blocked page) ────────────────────
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-  handleMessage(msg).then(sendResponse);
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  handleMessage(msg, sender).then(sendResponse);
   return true; // async response
 });
 
-async function handleMessage(msg) {
+async function handleMessage(msg, sender = {}) {
   switch (msg.type) {
     case "getState": {
       if (!nativePort) connectNativeHost();
+      await flushActiveSession();
       const state = await chrome.storage.local.get(null);
       return state;
     }
 
     case "updateTasks": {
+      const { tasks: previousTasks } = await chrome.storage.local.get("tasks");
       await chrome.storage.local.set({ tasks: msg.tasks });
+      const creditLedger = await recordTaskCredits(previousTasks, msg.tasks, {
+        reset: msg.reset === true,
+      });
       sendToNativeHost({ type: "tasks", tasks: msg.tasks });
-      return { ok: true };
+      return { ok: true, creditLedger };
     }
 
     case "addSite": {
-      const { blockedSites = [], siteSettings = {} } = await chrome.storage.local.get([
-        "blockedSites",
-        "siteSettings",
-      ]);
-      const site = msg.site
-        .replace(/^https?:\/\//, "")
-        .replace(/\/.*$/, "")
-        .toLowerCase();
+      const {
+        blockedSites = [],
+        siteGroups = [],
+        siteSettings = {},
+      } = await chrome.storage.local.get(["blockedSites", "siteGroups", "siteSettings"]);
+      const site = normalizeSiteEntry(msg.site);
+      if (!site || !/[a-z0-9]/.test(splitSiteEntry(site).host)) {
+        return { ok: false, error: "Enter a domain, path or pattern" };
+      }
       if (!blockedSites.includes(site)) {
+        const problem =
+          (await validateNewSiteRule(site)) ||
+          (await getRuleLimitProblem(
+            { blockedSites, siteGroups, siteSettings },
+            { blockedSites: [...blockedSites, site], siteGroups, siteSettings }
+          ));
+        if (problem) return { ok: false, error: problem };
         blockedSites.push(site);
         if (!siteSettings[site]) siteSettings[site] = {};
         siteSettings[site].lastLockedAt = new Date().toISOString();
@@ -830,33 +3275,53 @@ async function handleMessage(msg) {
       return { ok: true, blockedSites };
     }
 
-    case "removeSite": {
-      const data = await chrome.storage.local.get(["blockedSites", "siteGroups", "siteSettings"]);
-      const sites = (data.blockedSites || []).filter((site) => site !== msg.site);
-      const groups = (data.siteGroups || []).map((g) => ({
-        ...g,
-        sites: g.sites.filter((s) => s !== msg.site),
-      })).filter((g) => g.sites.length > 0);
-      const settings = data.siteSettings || {};
-      delete settings[msg.site];
-      await chrome.storage.local.set({ blockedSites: sites, siteGroups: groups, siteSettings: settings });
-      return { ok: true, blockedSites: sites };
-    }
-
     case "unlock": {
-      const unlock = await unlockSite(msg.site);
-      if (!unlock) {
-        return { ok: false, error: "Unlock requirement not completed" };
+      try {
+        const tabId = sender.tab ? sender.tab.id : undefined;
+        const unlock = await unlockSite(msg.site, msg.minutes, tabId);
+        if (!unlock) {
+          return { ok: false, error: "Unlock requirement not completed" };
+        }
+        return { ok: true, unlock };
+      } catch (error) {
+        return { ok: false, error: error.message || "Unlock failed" };
       }
-      return { ok: true, unlock };
     }
 
     case "pause": {
-      const pause = await pauseSite(msg.site, msg.duration, msg.justification);
-      if (!pause) {
-        return { ok: false, error: "Justification must be at least 120 characters" };
+      try {
+        const pause = await pauseSite(
+          msg.site,
+          msg.duration,
+          msg.justification,
+          msg.challenge
+        );
+        return { ok: true, unlock: pause };
+      } catch (error) {
+        return { ok: false, error: error.message || "Pause failed" };
+      }
+    }
+
+    case "pauseChallenge": {
+      const tabId = sender.tab ? sender.tab.id : undefined;
+      const challenge = await issuePauseChallenge(msg.site, tabId);
+      return { ok: true, challenge };
+    }
+
+    case "pauseChallengeStatus": {
+      const challenge = await getPauseChallengeStatus(msg.id);
+      if (!challenge) return { ok: false, error: "Challenge expired — start a new one" };
+      return { ok: true, challenge };
+    }
+
+    case "urlPass": {
+      try {
+        const tabId = sender.tab ? sender.tab.id : undefined;
+        const pass = await grantUrlPass(msg.site, msg.url, tabId);
+        return { ok: true, pass };
+      } catch (error) {
+        return { ok: false, error: error.message || "Pass failed" };
       }
-      return { ok: true, unlock: pause };
     }
 
     case "relock": {
@@ -870,15 +3335,47 @@ async function handleMessage(msg) {
       return { ok: true };
     }
 
-    case "updateConfig": {
-      const { config } = await chrome.storage.local.get("config");
-      const nextConfig = normalizeConfig({ ...config, ...msg.config });
-      await chrome.storage.local.set({ config: nextConfig });
-      return { ok: true, config: nextConfig };
+    case "startFocus": {
+      try {
+        const focusMode = await startFocus(msg.allowlist, msg.duration);
+        return { ok: true, focusMode };
+      } catch (error) {
+        return { ok: false, error: error.message || "Failed to start deep focus" };
+      }
+    }
+
+    case "stopFocus": {
+      const focusMode = await stopFocus();
+      if (!focusMode) {
+        return { ok: false, error: "Unlock requirement not completed" };
+      }
+      return { ok: true, focusMode };
+    }
+
+    case "siteStatus": {
+      try {
+        const status = await getSiteStatus(msg.site);
+        return { ok: true, status };
+      } catch (error) {
+        return { ok: false, error: error.message || "Site status failed" };
+      }
+    }
+
+    case "removeSite":
+    case "removeGroup":
+    case "updateGroup":
+    case "updateSiteSettings":
+    case "updateConfig":
+    case "setCommitment":
+      return guardSettingsChange(msg);
+
+    case "cancelPendingChange": {
+      const pendingChanges = await cancelPendingChange(msg.id);
+      return { ok: true, pendingChanges };
     }
 
     case "syncNative": {
-      sendToNativeHost({ type: "read" });
+      await requestNativeTasks();
       return { ok: true };
     }
 
@@ -893,11 +3390,15 @@ async function handleMessage(msg) {
     }
 
     case "backupRestore": {
-      const restored = await restoreLatestLocalBackup();
-      if (!restored) {
-        return { ok: false, error: "No local backup found" };
+      try {
+        const restored = await restoreLatestLocalBackup();
+        if (!restored) {
+          return { ok: false, error: "No local backup found" };
+        }
+        return { ok: true, restored };
+      } catch (error) {
+        return { ok: false, error: error.message || "Restore from backup failed" };
       }
-      return { ok: true, restored };
     }
 
     case "syncNow": {
@@ -922,80 +3423,14 @@ async function handleMessage(msg) {
     }
 
     case "addGroup": {
-      const { siteGroups = [], blockedSites = [] } = await chrome.storage.local.get([
-        "siteGroups",
-        "blockedSites",
-      ]);
-      const groupSites = (msg.sites || []).filter((s) => typeof s === "string");
-      // Validate no site is already in another group
-      for (const s of groupSites) {
-        const existing = resolveGroupForSite(s, siteGroups);
-        if (existing) {
-          return { ok: false, error: `${s} is already in group "${existing.name}"` };
-        }
-      }
-      const now = new Date().toISOString();
-      const newGroup = {
-        id: crypto.randomUUID(),
-        name: (msg.name || "Untitled Group").trim(),
-        sites: groupSites,
-        cost: msg.cost >= 1 ? Math.round(msg.cost) : null,
-        lastLockedAt: now,
-      };
-      siteGroups.push(newGroup);
-      // Ensure member sites are in blockedSites
-      let sitesChanged = false;
-      for (const s of groupSites) {
-        if (!blockedSites.includes(s)) {
-          blockedSites.push(s);
-          sitesChanged = true;
-        }
-      }
-      const groupUpdate = { siteGroups };
-      if (sitesChanged) groupUpdate.blockedSites = blockedSites;
-      await chrome.storage.local.set(groupUpdate);
-      return { ok: true, group: newGroup };
-    }
-
-    case "updateGroup": {
-      const { siteGroups: uGroups = [] } = await chrome.storage.local.get("siteGroups");
-      const group = uGroups.find((g) => g.id === msg.id);
-      if (!group) return { ok: false, error: "Group not found" };
-      const newSites = msg.sites || group.sites;
-      // Validate no site in multiple groups
-      for (const s of newSites) {
-        const existing = resolveGroupForSite(s, uGroups);
-        if (existing && existing.id !== msg.id) {
-          return { ok: false, error: `${s} is already in group "${existing.name}"` };
-        }
-      }
-      if (msg.name !== undefined) group.name = (msg.name || "").trim();
-      if (msg.sites !== undefined) group.sites = newSites;
-      if (msg.cost !== undefined) group.cost = msg.cost >= 1 ? Math.round(msg.cost) : null;
-      await chrome.storage.local.set({ siteGroups: uGroups });
-      return { ok: true, group };
-    }
-
-    case "removeGroup": {
-      const { siteGroups: dGroups = [], unlocks: dUnlocks = {} } =
-        await chrome.storage.local.get(["siteGroups", "unlocks"]);
-      const idx = dGroups.findIndex((g) => g.id === msg.id);
-      if (idx === -1) return { ok: false, error: "Group not found" };
-      delete dUnlocks[`group:${msg.id}`];
-      dGroups.splice(idx, 1);
-      await chrome.storage.local.set({ siteGroups: dGroups, unlocks: dUnlocks });
-      await chrome.alarms.clear(`relock-group:${msg.id}`);
-      return { ok: true };
-    }
-
-    case "updateSiteSettings": {
-      const { siteSettings: uSettings = {} } = await chrome.storage.local.get("siteSettings");
-      if (!uSettings[msg.site]) uSettings[msg.site] = {};
-      if (msg.cost !== undefined) {
-        uSettings[msg.site].cost = msg.cost >= 1 ? Math.round(msg.cost) : null;
+      const { blockedSites = [] } = await chrome.storage.local.get("blockedSites");
+      for (const s of msg.sites || []) {
+        if (typeof s !== "string" || blockedSites.includes(s)) continue;
+        const problem = await validateNewSiteRule(s);
+        if (problem) return { ok: false, error: problem };
       }
-      await chrome.storage.local.set({ siteSettings: uSettings });
-      return { ok: true, siteSettings: uSettings };
+      // The id is fixed here so a queued group keeps it when replayed
+      return guardSettingsChange({ ...msg, id: crypto.randomUUID() });
     }
 
     default:
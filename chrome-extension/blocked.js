@@ -12,16 +12,25 @@ let state = {
   },
   streak: { current: 0, longest: 0, lastDate: null },
   timeLog: [],
+  activeTimeLog: [],
   unlocks: {},
   siteGroups: [],
   siteSettings: {},
 };
 
-const site = new URLSearchParams(location.search).get("site") || "";
+const params = new URLSearchParams(location.search);
+const site = params.get("site") || "";
+const isFocusPage = params.get("mode") === "focus";
+const returnUrl = getReturnUrl();
 let countdownInterval = null;
 let abstinenceInterval = null;
 let currentGroup = null;
 let effectiveCost = null;
+let nextCost = null;
+let siteStatus = null;
+let pauseChallenge = null;
+let currentTabId = null;
+let pauseChallengeInterval = null;
 const collapsedCompositeTasks = new Set();
 let editingTaskId = null;
 let pendingEditorFocusTaskId = null;
@@ -39,12 +48,72 @@ function resolveGroupForSiteBlocked(s, siteGroups) {
   return siteGroups.find((g) => g.sites.includes(s)) || null;
 }
 
-function getEffectiveCostBlocked(s, siteGroups, siteSettings) {
+// Mirrors the background's pricing. `extraUnlocks` looks ahead: 1 prices
+// the unlock after the one being paid for now.
+function getEffectiveCostBlocked(s, siteGroups, siteSettings, timeLog, extraUnlocks = 0) {
   const group = resolveGroupForSiteBlocked(s, siteGroups);
-  if (group && group.cost >= 1) return group.cost;
-  const settings = siteSettings && siteSettings[s];
-  if (settings && settings.cost >= 1) return settings.cost;
-  return null;
+  const unlocksToday =
+    getUnlockCountTodayBlocked(group ? group.sites : [s], timeLog) + extraUnlocks;
+  const groupCost = getCostStepBlocked(group, unlocksToday);
+  if (groupCost !== null) return groupCost;
+  return getCostStepBlocked(siteSettings && siteSettings[s], unlocksToday);
+}
+
+function getCostStepBlocked(owner, unlocksToday) {
+  if (!owner) return null;
+  const curve = owner.costEscalation;
+  if (Array.isArray(curve) && curve.length > 0) {
+    return curve[Math.min(unlocksToday, curve.length - 1)];
+  }
+  return owner.cost >= 1 ? owner.cost : null;
+}
+
+function getUnlockCountTodayBlocked(sites, timeLog) {
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  return (timeLog || []).filter(
+    (entry) =>
+      entry.unlockedAt &&
+      !entry.paused &&
+      entry.type !== "pass" &&
+      sites.includes(entry.site) &&
+      new Date(entry.unlockedAt).getTime() >= dayStart
+  ).length;
+}
+
+// ── Credits ─────────────────────────────────────────────────────────
+
+function isCreditModeBlocked() {
+  return Boolean(state.config && state.config.credits && state.config.credits.enabled);
+}
+
+function getCreditBalanceBlocked() {
+  return (state.creditLedger || []).reduce(
+    (sum, entry) => sum + (Number(entry.minutes) || 0),
+    0
+  );
+}
+
+function getMinutesToBuy() {
+  const value = parseInt(document.getElementById("unlockMinutesInput").value, 10);
+  return value >= 1 ? value : 0;
+}
+
+function setupCreditControls() {
+  const row = document.getElementById("unlockCreditRow");
+  row.hidden = !isCreditModeBlocked() || isFocusPage;
+  if (row.hidden) return;
+
+  const input = document.getElementById("unlockMinutesInput");
+  input.value = String(getCooldownMinutesBlocked());
+  input.addEventListener("input", updateUnlockButton);
+}
+
+function getCooldownMinutesBlocked() {
+  if (currentGroup && currentGroup.cooldownMinutes >= 1) return currentGroup.cooldownMinutes;
+  const settings = !currentGroup && (state.siteSettings || {})[site];
+  if (settings && settings.cooldownMinutes >= 1) return settings.cooldownMinutes;
+  return (state.config && state.config.cooldownMinutes) || 30;
 }
 
 function formatDuration(ms) {
@@ -59,6 +128,44 @@ function formatDuration(ms) {
   return `${minutes}m`;
 }
 
+function splitSiteEntry(s) {
+  const slash = s.indexOf("/");
+  if (slash === -1) return { host: s, path: "" };
+  return { host: s.slice(0, slash), path: s.slice(slash) };
+}
+
+// The background worker appends the URL that was blocked after "#".
+function getReturnUrl() {
+  const raw = location.hash.slice(1);
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    return url.protocol === "http:" || url.protocol === "https:" ? raw : null;
+  } catch {
+    return null;
+  }
+}
+
+// Where to send the tab after an unlock when the original URL is unknown.
+// Wildcard entries have no single URL, so use the longest literal prefix.
+function getSiteLandingUrl(s) {
+  const { host, path } = splitSiteEntry(s);
+  const literalHost = host.replace(/^(\*\.)+/, "");
+  if (literalHost.includes("*")) return null;
+  return "https://" + literalHost + path.replace(/\*.*$/, "");
+}
+
+function renderSiteLabel(el, s) {
+  const { host, path } = splitSiteEntry(s);
+  el.textContent = host;
+  if (path) {
+    const pathEl = document.createElement("span");
+    pathEl.className = "blocked-site-path";
+    pathEl.textContent = path;
+    el.appendChild(pathEl);
+  }
+}
+
 function getLastLockedAt() {
   const group = currentGroup;
   if (group && group.lastLockedAt) return group.lastLockedAt;
@@ -77,14 +184,30 @@ function getCostBaselineBlocked() {
 // ── Init ────────────────────────────────────────────────────────────
 
 document.addEventListener("DOMContentLoaded", async () => {
-  document.getElementById("blockedSite").textContent = site;
+  renderSiteLabel(document.getElementById("blockedSite"), site);
   document.getElementById("unlockSiteName").textContent = site;
 
   state = await sendMessage({ type: "getState" });
+  const currentTab = await chrome.tabs.getCurrent();
+  currentTabId = currentTab ? currentTab.id : null;
+  const statusResp = await sendMessage({ type: "siteStatus", site });
+  siteStatus = statusResp && statusResp.ok ? statusResp.status : null;
 
   // Resolve group & cost for this site
   currentGroup = resolveGroupForSiteBlocked(site, state.siteGroups || []);
-  effectiveCost = getEffectiveCostBlocked(site, state.siteGroups || [], state.siteSettings || {});
+  effectiveCost = getEffectiveCostBlocked(
+    site,
+    state.siteGroups || [],
+    state.siteSettings || {},
+    state.timeLog
+  );
+  nextCost = getEffectiveCostBlocked(
+    site,
+    state.siteGroups || [],
+    state.siteSettings || {},
+    state.timeLog,
+    1
+  );
 
   if (currentGroup) {
     document.getElementById("subtitle").textContent =
@@ -92,9 +215,17 @@ document.addEventListener("DOMContentLoaded", async () => {
     document.getElementById("unlockSiteName").textContent = currentGroup.name;
   }
 
+  if (isFocusPage) {
+    document.getElementById("subtitle").textContent =
+      "Deep focus is on — only allowlisted sites are reachable";
+    document.getElementById("blockedSite").textContent = "Deep focus";
+  }
+
   resetRecurringTasks();
+  setupCreditControls();
   render();
   startCountdownIfNeeded();
+  scheduleGateRefresh();
 
   // Add task on Enter
   document.getElementById("addTaskInput").addEventListener("keydown", (e) => {
@@ -107,14 +238,20 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Unlock button
   document.getElementById("unlockBtn").addEventListener("click", handleUnlock);
 
+  // One-time pass for the exact URL that was blocked
+  const passBtn = document.getElementById("passBtn");
+  passBtn.hidden = !returnUrl || isFocusPage;
+  passBtn.title = returnUrl || "";
+  passBtn.addEventListener("click", handleUrlPass);
+
   // Pause section
   document.getElementById("pauseToggle").addEventListener("click", () => {
     const panel = document.getElementById("pausePanel");
     panel.hidden = !panel.hidden;
+    if (!panel.hidden && !pauseChallenge) startPauseChallenge();
   });
 
   const pauseJustification = document.getElementById("pauseJustification");
-  const pauseCharcount = document.getElementById("pauseCharcount");
   const pauseBtn = document.getElementById("pauseBtn");
   const pauseDuration = document.getElementById("pauseDuration");
 
@@ -126,13 +263,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     e.preventDefault();
   });
 
-  pauseJustification.addEventListener("input", () => {
-    const len = pauseJustification.value.trim().length;
-    const met = len >= 120;
-    pauseCharcount.textContent = `${len}/120`;
-    pauseCharcount.classList.toggle("met", met);
-    pauseBtn.disabled = !met;
-  });
+  setupPauseControls();
+  pauseJustification.addEventListener("input", updatePauseButton);
 
   pauseDuration.addEventListener("change", () => {
     pauseBtn.textContent = `Pause for ${pauseDuration.value} min`;
@@ -141,39 +273,202 @@ document.addEventListener("DOMContentLoaded", async () => {
   pauseBtn.addEventListener("click", handlePause);
 });
 
-// ── Recurring task reset ────────────────────────────────────────────
+// ── Recurring tasks ─────────────────────────────────────────────────
+//
+// Rules are stored on tasks as their canonical text: "daily", "weekly",
+// "weekdays", "every 2 days", "every 3 weeks", "every mon,wed,fri",
+// "monthly", "monthly on the 1st", "every 2 months on the 15th".
+// The grammar and date math below mirror scripts/native-host.mjs, where
+// they are tested.
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const RECURRENCE_PATTERN =
+  /\(((?:daily|weekly|weekdays|monthly|every)\b[^)]*)\)|🔁\s*(every\s[\w ,]*\w)/gi;
+
+function parseRecurrence(text) {
+  const rule = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (rule === "daily") return { unit: "day", interval: 1 };
+  if (rule === "weekly") return { unit: "week", interval: 1 };
+  if (rule === "weekdays" || rule === "every weekday") {
+    return { unit: "week", interval: 1, days: [1, 2, 3, 4, 5] };
+  }
+
+  const monthMatch = rule.match(
+    /^(?:monthly|every (?:(\d+) )?months?)(?: on the (\d{1,2})(?:st|nd|rd|th))?$/
+  );
+  if (monthMatch) {
+    const interval = Number(monthMatch[1] || 1);
+    const dayOfMonth = monthMatch[2] ? Number(monthMatch[2]) : null;
+    if (interval < 1 || (dayOfMonth !== null && (dayOfMonth < 1 || dayOfMonth > 31))) return null;
+    return { unit: "month", interval, dayOfMonth };
+  }
+
+  const intervalMatch = rule.match(/^every (?:(\d+) )?(day|week)s?$/);
+  if (intervalMatch) {
+    const interval = Number(intervalMatch[1] || 1);
+    return interval >= 1 ? { unit: intervalMatch[2], interval } : null;
+  }
+
+  // "every mon,wed,fri", or the Tasks plugin's "every week on Monday, Friday"
+  const daysMatch = rule.match(/^every (?:week on )?([a-z, ]+)$/);
+  if (daysMatch) {
+    const days = [];
+    for (const name of daysMatch[1].split(/\s*,\s*|\s+and\s+|\s+/).filter(Boolean)) {
+      const day = WEEKDAY_NAMES.findIndex((full) => name.length >= 3 && full.startsWith(name));
+      if (day === -1) return null;
+      if (!days.includes(day)) days.push(day);
+    }
+    return days.length > 0 ? { unit: "week", interval: 1, days: days.sort() } : null;
+  }
+
+  return null;
+}
+
+function isWeekdayRule(rule) {
+  return Boolean(rule.days) && rule.days.join(",") === "1,2,3,4,5";
+}
+
+function formatOrdinal(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return n + (["th", "st", "nd", "rd"][n % 10] || "th");
+}
+
+function formatRecurrence(rule) {
+  if (rule.unit === "day") {
+    return rule.interval === 1 ? "daily" : `every ${rule.interval} days`;
+  }
+  if (rule.unit === "week") {
+    if (isWeekdayRule(rule)) return "weekdays";
+    if (rule.days) return `every ${rule.days.map((day) => WEEKDAY_NAMES[day].slice(0, 3)).join(",")}`;
+    return rule.interval === 1 ? "weekly" : `every ${rule.interval} weeks`;
+  }
+  const base = rule.interval === 1 ? "monthly" : `every ${rule.interval} months`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// The same rule in the Tasks plugin's wording, without the 🔁.
+function formatObsidianRecurrence(rule) {
+  if (isWeekdayRule(rule)) return "every weekday";
+  if (rule.days) {
+    const names = rule.days.map((day) => WEEKDAY_NAMES[day][0].toUpperCase() + WEEKDAY_NAMES[day].slice(1));
+    return `every week on ${names.join(", ")}`;
+  }
+  const base = rule.interval === 1 ? `every ${rule.unit}` : `every ${rule.interval} ${rule.unit}s`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// First `(rule)` or `🔁 rule` token in `text` that is a valid rule.
+function findRecurrence(text) {
+  for (const match of text.matchAll(RECURRENCE_PATTERN)) {
+    const rule = parseRecurrence(match[1] || match[2]);
+    if (rule) return { token: match[0], recurring: formatRecurrence(rule) };
+  }
+  return null;
+}
+
+// Dates below are "YYYY-MM-DD" keys, worked on in UTC so days never
+// shift under a DST change.
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getWeekStart(dateKey) {
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((day + 6) % 7)); // back to Monday
+}
+
+// Day `day` of the month `months` after dateKey's, clamped to its length.
+function getMonthDay(dateKey, months, day) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// The first date after dateKey on which the rule recurs, counting dateKey
+// itself as an occurrence. Without "on the Nth", a monthly rule keeps the
+// day of month its series started on: `anchorDay`, when dateKey is that
+// day clamped to a short month, so Jan 31 goes to Feb 28 and back to
+// Mar 31.
+function getNextOccurrence(rule, dateKey, anchorDay = null) {
+  if (rule.unit === "day") return addDays(dateKey, rule.interval);
+
+  if (rule.unit === "week" && rule.days) {
+    let next = addDays(dateKey, 1);
+    while (!rule.days.includes(new Date(`${next}T00:00:00Z`).getUTCDay())) {
+      next = addDays(next, 1);
+    }
+    return next;
+  }
+
+  if (rule.unit === "week") return addDays(dateKey, 7 * rule.interval);
+
+  const day =
+    rule.dayOfMonth ||
+    (anchorDay && getMonthDay(dateKey, 0, anchorDay) === dateKey
+      ? anchorDay
+      : Number(dateKey.slice(8, 10)));
+  const thisMonth = getMonthDay(dateKey, 0, day);
+  return thisMonth > dateKey ? thisMonth : getMonthDay(dateKey, rule.interval, day);
+}
+
+// The day a task completed on doneKey comes back. "weekly" and "every N
+// weeks" follow calendar weeks: the task returns on the Monday N weeks
+// after the week it was done in, whatever day that was.
+function getResetDate(rule, doneKey) {
+  if (rule.unit === "week" && !rule.days) {
+    return addDays(getWeekStart(doneKey), 7 * rule.interval);
+  }
+  return getNextOccurrence(rule, doneKey);
+}
+
+// A reset task's due date moves to the first occurrence after it that
+// isn't already past, keeping the day of month it was first due on.
+function rollDueDate(rule, dueKey, todayKey, anchorDay = Number(dueKey.slice(8, 10))) {
+  let next = getNextOccurrence(rule, dueKey, anchorDay);
+  while (next < todayKey) next = getNextOccurrence(rule, next, anchorDay);
+  return next;
+}
+
+// Completions and today are compared as local calendar days, the days
+// the done dates in the task file are written in.
+function getLocalDateKey(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
 function resetRecurringTasks() {
-  const now = new Date();
-  const today = now.toISOString().slice(0, 10);
+  const today = getLocalDateKey(new Date());
   let changed = false;
 
-  // Monday of this week (ISO week)
-  const dayOfWeek = now.getDay() || 7; // Sunday=7
-  const monday = new Date(now);
-  monday.setDate(now.getDate() - dayOfWeek + 1);
-  const weekStart = monday.toISOString().slice(0, 10);
-
   for (const task of state.tasks || []) {
     if (!task.recurring || !task.completed || !task.completedAt) continue;
 
-    const completedDate = task.completedAt.slice(0, 10);
-
-    if (task.recurring === "daily" && completedDate < today) {
-      task.completed = false;
-      task.completedAt = null;
-      changed = true;
-    } else if (task.recurring === "weekly" && completedDate < weekStart) {
-      task.completed = false;
-      task.completedAt = null;
-      changed = true;
+    const rule = parseRecurrence(task.recurring);
+    const doneKey = getLocalDateKey(new Date(task.completedAt));
+    if (!rule || getResetDate(rule, doneKey) > today) continue;
+
+    task.completed = false;
+    task.completedAt = null;
+    if (task.dueDate) {
+      // dueDay remembers the day of month a clamped due date stands for
+      const dueDay =
+        task.dueDay && getMonthDay(task.dueDate, 0, task.dueDay) === task.dueDate
+          ? task.dueDay
+          : Number(task.dueDate.slice(8, 10));
+      task.dueDate = rollDueDate(rule, task.dueDate, today, dueDay);
+      task.dueDay = dueDay;
     }
+    changed = true;
   }
 
   changed = syncCompositeCompletion(state.tasks || []) || changed;
 
   if (changed) {
-    sendMessage({ type: "updateTasks", tasks: state.tasks });
+    sendMessage({ type: "updateTasks", tasks: state.tasks, reset: true });
   }
 }
 
@@ -187,6 +482,9 @@ function render() {
   renderPauseHistory();
   updateUnlockButton();
   renderAbstinenceTimer();
+  renderScheduleHint();
+  renderBudgetHint();
+  renderPausePolicy();
 }
 
 function renderTasks() {
@@ -386,7 +684,14 @@ function createTaskElement(task, tasksById, childrenByParent, depth, rendered) {
     content.appendChild(contentHeader);
 
     // Meta badges
-    if (task.dueDate || task.recurring) {
+    if (
+      task.dueDate ||
+      task.scheduledDate ||
+      task.startDate ||
+      task.recurring ||
+      task.priority ||
+      typeof task.weight === "number"
+    ) {
       const meta = document.createElement("div");
       meta.className = "task-meta";
 
@@ -403,6 +708,20 @@ function createTaskElement(task, tasksById, childrenByParent, depth, rendered) {
         meta.appendChild(badge);
       }
 
+      if (task.scheduledDate) {
+        const badge = document.createElement("span");
+        badge.className = "task-badge task-badge--date";
+        badge.textContent = "scheduled: " + formatDate(task.scheduledDate);
+        meta.appendChild(badge);
+      }
+
+      if (task.startDate) {
+        const badge = document.createElement("span");
+        badge.className = "task-badge task-badge--date";
+        badge.textContent = "starts: " + formatDate(task.startDate);
+        meta.appendChild(badge);
+      }
+
       if (task.recurring) {
         const badge = document.createElement("span");
         badge.className = "task-badge task-badge--recurring";
@@ -410,6 +729,22 @@ function createTaskElement(task, tasksById, childrenByParent, depth, rendered) {
         meta.appendChild(badge);
       }
 
+      if (task.priority) {
+        const badge = document.createElement("span");
+        badge.className = `task-badge task-badge--priority task-badge--${task.priority}`;
+        badge.textContent = task.priority;
+        badge.title = "Priority";
+        meta.appendChild(badge);
+      }
+
+      if (typeof task.weight === "number") {
+        const badge = document.createElement("span");
+        badge.className = "task-badge task-badge--weight";
+        badge.textContent = `×${task.weight}`;
+        badge.title = "Credit weight";
+        meta.appendChild(badge);
+      }
+
       content.appendChild(meta);
     }
   }
@@ -536,35 +871,106 @@ function cancelTaskEdit() {
   renderTasks();
 }
 
+const PRIORITY_EMOJI = { high: "⏫", medium: "🔼", low: "🔽" };
+
+// Writes the task's metadata back in the syntax the markdown file uses.
 function formatTaskInputText(task) {
   let text = task.text || "";
+  const obsidian = Boolean(state.config && state.config.taskFormat === "obsidian");
+  const rule = task.recurring ? parseRecurrence(task.recurring) : null;
+
+  if (obsidian) {
+    if (typeof task.weight === "number") {
+      text += ` (weight: ${task.weight})`;
+    }
+    if (PRIORITY_EMOJI[task.priority]) {
+      text += ` ${PRIORITY_EMOJI[task.priority]}`;
+    }
+    if (rule) {
+      text += ` 🔁 ${formatObsidianRecurrence(rule)}`;
+    }
+    if (task.startDate) {
+      text += ` 🛫 ${task.startDate}`;
+    }
+    if (task.scheduledDate) {
+      text += ` ⏳ ${task.scheduledDate}`;
+    }
+    if (task.dueDate) {
+      text += ` 📅 ${task.dueDate}`;
+    }
+    return text;
+  }
+
   if (task.dueDate) {
     text += ` (due: ${task.dueDate})`;
   }
-  if (task.recurring) {
-    text += ` (${task.recurring})`;
+  if (task.scheduledDate) {
+    text += ` (scheduled: ${task.scheduledDate})`;
+  }
+  if (task.startDate) {
+    text += ` (start: ${task.startDate})`;
+  }
+  if (rule) {
+    text += ` (${formatRecurrence(rule)})`;
+  }
+  if (task.priority) {
+    text += ` (priority: ${task.priority})`;
+  }
+  if (typeof task.weight === "number") {
+    text += ` (weight: ${task.weight})`;
   }
   return text;
 }
 
+// Accepts both the Tollgate tokens and the Obsidian Tasks emoji.
 function parseTaskInput(text) {
   let parsedText = (text || "").trim();
   let dueDate = null;
+  let scheduledDate = null;
+  let startDate = null;
   let recurring = null;
+  let priority = null;
+  let weight = null;
 
-  const dueMatch = parsedText.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)/);
+  const dueMatch = parsedText.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)|📅\s*(\d{4}-\d{2}-\d{2})/);
   if (dueMatch) {
-    dueDate = dueMatch[1];
+    dueDate = dueMatch[1] || dueMatch[2];
     parsedText = parsedText.replace(dueMatch[0], "").trim();
   }
 
-  const recurMatch = parsedText.match(/\((daily|weekly)\)/);
-  if (recurMatch) {
-    recurring = recurMatch[1];
-    parsedText = parsedText.replace(recurMatch[0], "").trim();
+  const scheduledMatch = parsedText.match(/\(scheduled:\s*(\d{4}-\d{2}-\d{2})\)|⏳\s*(\d{4}-\d{2}-\d{2})/);
+  if (scheduledMatch) {
+    scheduledDate = scheduledMatch[1] || scheduledMatch[2];
+    parsedText = parsedText.replace(scheduledMatch[0], "").trim();
+  }
+
+  const startMatch = parsedText.match(/\(start:\s*(\d{4}-\d{2}-\d{2})\)|🛫\s*(\d{4}-\d{2}-\d{2})/);
+  if (startMatch) {
+    startDate = startMatch[1] || startMatch[2];
+    parsedText = parsedText.replace(startMatch[0], "").trim();
+  }
+
+  const recurrence = findRecurrence(parsedText);
+  if (recurrence) {
+    recurring = recurrence.recurring;
+    parsedText = parsedText.replace(recurrence.token, "").trim();
+  }
+
+  const priorityMatch = parsedText.match(/\(priority:\s*(high|medium|low)\)|(⏫|🔼|🔽)/);
+  if (priorityMatch) {
+    priority =
+      priorityMatch[1] ||
+      Object.keys(PRIORITY_EMOJI).find((key) => PRIORITY_EMOJI[key] === priorityMatch[2]);
+    parsedText = parsedText.replace(priorityMatch[0], "").trim();
   }
 
-  return { text: parsedText, dueDate, recurring };
+  const weightMatch = parsedText.match(/\(weight:\s*(\d+(?:\.\d+)?)\)/);
+  if (weightMatch) {
+    weight = Number(weightMatch[1]);
+    parsedText = parsedText.replace(weightMatch[0], "").trim();
+  }
+
+  return { text: parsedText, dueDate, scheduledDate, startDate, recurring, priority, weight };
 }
 
 async function saveTaskEdit(taskId, text) {
@@ -578,8 +984,13 @@ async function saveTaskEdit(taskId, text) {
   }
 
   task.text = parsed.text;
+  if (parsed.dueDate !== task.dueDate) delete task.dueDay;
   task.dueDate = parsed.dueDate;
+  task.scheduledDate = parsed.scheduledDate;
+  task.startDate = parsed.startDate;
   task.recurring = parsed.recurring;
+  task.priority = parsed.priority;
+  task.weight = parsed.weight;
 
   editingTaskId = null;
   pendingEditorFocusTaskId = null;
@@ -864,6 +1275,20 @@ function getUnlockRequirement() {
   const config = state.config || {};
   const leafTasks = getLeafTasks(tasks);
 
+  // Credit mode: any balance can buy time
+  if (isCreditModeBlocked()) {
+    const balance = getCreditBalanceBlocked();
+    return {
+      mode: "credits",
+      balance,
+      done: leafTasks.filter((task) => task.completed).length,
+      total: leafTasks.length,
+      ready: balance >= 1,
+      empty: leafTasks.length === 0,
+      section: "",
+    };
+  }
+
   // Cost mode: if effectiveCost is set, count completions since last unlock
   if (effectiveCost !== null && effectiveCost >= 1) {
     const baseline = getCostBaselineBlocked();
@@ -872,6 +1297,7 @@ function getUnlockRequirement() {
     return {
       mode: "cost",
       cost: effectiveCost,
+      nextCost: nextCost !== effectiveCost ? nextCost : null,
       done,
       total: leafTasks.length,
       ready: done >= effectiveCost,
@@ -925,7 +1351,9 @@ function renderProgress() {
     const ratio = requirement.cost > 0 ? done / requirement.cost : 0;
     const offset = circumference * (1 - ratio);
     document.getElementById("progressFill").style.strokeDashoffset = offset;
-    costLabel.textContent = `${requirement.cost} tasks required`;
+    costLabel.textContent = requirement.nextCost
+      ? `${requirement.cost} tasks required · next unlock ${requirement.nextCost}`
+      : `${requirement.cost} tasks required`;
     costLabel.hidden = false;
   } else {
     const done = requirement.done;
@@ -934,7 +1362,9 @@ function renderProgress() {
     const ratio = total > 0 ? done / total : 0;
     const offset = circumference * (1 - ratio);
     document.getElementById("progressFill").style.strokeDashoffset = offset;
-    costLabel.hidden = true;
+    costLabel.textContent =
+      requirement.mode === "credits" ? `${Math.max(0, requirement.balance)} min of credit` : "";
+    costLabel.hidden = requirement.mode !== "credits";
   }
 
   if (requirement.ready) {
@@ -953,27 +1383,29 @@ function renderStats() {
 }
 
 function renderTimeLog() {
-  const log = state.timeLog || [];
-  const today = new Date().toISOString().slice(0, 10);
-  const todayEntries = log.filter(
-    (entry) => entry.unlockedAt && entry.unlockedAt.startsWith(today)
-  );
+  const log = state.activeTimeLog || [];
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
 
-  if (todayEntries.length === 0) {
-    document.getElementById("timeLog").textContent = "";
-    return;
+  // Sum attended time per site, clipped to today
+  const siteTimes = {};
+  for (const entry of log) {
+    const start = Math.max(new Date(entry.startedAt).getTime(), dayStart);
+    const end = new Date(entry.endedAt).getTime();
+    if (end <= start) continue;
+    siteTimes[entry.site] = (siteTimes[entry.site] || 0) + (end - start);
   }
 
-  // Sum time per site
-  const siteTimes = {};
-  for (const entry of todayEntries) {
-    const end = entry.lockedAt ? new Date(entry.lockedAt) : new Date();
-    const start = new Date(entry.unlockedAt);
-    const mins = Math.round((end - start) / 60000);
-    siteTimes[entry.site] = (siteTimes[entry.site] || 0) + mins;
+  const parts = Object.entries(siteTimes)
+    .map(([name, ms]) => [name, Math.round(ms / 60000)])
+    .filter(([, mins]) => mins > 0)
+    .map(([name, mins]) => `${mins}min ${name}`);
+
+  if (parts.length === 0) {
+    document.getElementById("timeLog").textContent = "";
+    return;
   }
 
-  const parts = Object.entries(siteTimes).map(([name, mins]) => `${mins}min ${name}`);
   document.getElementById("timeLog").textContent = "Today: " + parts.join(", ");
 }
 
@@ -1030,9 +1462,14 @@ function updateUnlockButton() {
   const pauseSection = document.getElementById("pauseSection");
   const unlockLabel = currentGroup ? currentGroup.name : site;
 
+  if (isFocusPage) {
+    updateFocusButton(requirement, btn, hint, pauseSection);
+    return;
+  }
+
   // Check if currently unlocked
   const unlock = (state.unlocks || {})[site];
-  if (unlock && new Date(unlock.expiresAt) > new Date()) {
+  if (isUnlockedHere(unlock)) {
     btn.textContent = "Site is unlocked";
     btn.disabled = true;
     hint.textContent = "";
@@ -1040,11 +1477,47 @@ function updateUnlockButton() {
     return;
   }
 
+  if (isUnlockLive(unlock)) {
+    btn.textContent = "Unlocked in another tab";
+    btn.disabled = true;
+    hint.textContent = "reblock it from the popup to unlock here";
+    pauseSection.hidden = true;
+    return;
+  }
+
   pauseSection.hidden = false;
 
-  btn.textContent = "Unlock " + unlockLabel;
+  btn.textContent = `Unlock ${unlockLabel} for ${getCooldownMinutesBlocked()}m`;
   btn.disabled = !requirement.ready;
 
+  if (requirement.mode === "credits") {
+    const minutes = getMinutesToBuy();
+    const balance = Math.max(0, requirement.balance);
+    document.getElementById("creditBalanceLabel").textContent = `min of ${balance}`;
+    btn.textContent = `Unlock ${unlockLabel} for ${minutes}m`;
+    btn.disabled = minutes < 1 || minutes > balance;
+  }
+
+  if (isBudgetSpent()) {
+    btn.disabled = true;
+    hint.textContent = "daily budget used up — try again tomorrow";
+    return;
+  }
+
+  const gate = siteStatus && siteStatus.unlockGate;
+  if (gate && new Date(gate.availableAt) > new Date()) {
+    btn.disabled = true;
+    hint.textContent = `${gate.reason.toLowerCase()} — available ${formatDateTime(gate.availableAt)}`;
+    return;
+  }
+
+  if (requirement.mode === "credits") {
+    hint.textContent = requirement.ready
+      ? "unused minutes are refunded if you relock early"
+      : "complete tasks to earn credit";
+    return;
+  }
+
   if (requirement.mode === "cost") {
     const remaining = requirement.cost - requirement.done;
     hint.textContent = requirement.ready
@@ -1069,20 +1542,55 @@ function updateUnlockButton() {
   hint.textContent = requirement.ready ? "" : "all tasks must be completed";
 }
 
+function updateFocusButton(requirement, btn, hint, pauseSection) {
+  const focusMode = state.focusMode || {};
+  pauseSection.hidden = true;
+
+  if (!focusMode.active) {
+    btn.textContent = "Deep focus is off";
+    btn.disabled = true;
+    hint.textContent = "";
+    return;
+  }
+
+  btn.textContent = "End deep focus";
+  btn.disabled = !requirement.ready;
+
+  const endsText = focusMode.endsAt
+    ? `ends on its own at ${formatDateTime(focusMode.endsAt)}`
+    : "runs until stopped";
+  hint.textContent = requirement.ready
+    ? endsText
+    : `complete your tasks to end early — ${endsText}`;
+}
+
 // ── Countdown ───────────────────────────────────────────────────────
 
+// A stopped attended clock holds its time in pausedRemainingMs
+function getUnlockExpiryBlocked(unlock) {
+  if (typeof unlock.pausedRemainingMs === "number") return Date.now() + unlock.pausedRemainingMs;
+  return new Date(unlock.expiresAt).getTime();
+}
+
+function isUnlockLive(unlock) {
+  return Boolean(unlock) && getUnlockExpiryBlocked(unlock) > Date.now();
+}
+
+// A tab unlock only counts for the tab that holds it
+function isUnlockedHere(unlock) {
+  if (!isUnlockLive(unlock)) return false;
+  return typeof unlock.tabId !== "number" || unlock.tabId === currentTabId;
+}
+
 function startCountdownIfNeeded() {
   const unlock = (state.unlocks || {})[site];
-  if (!unlock) return;
-
-  const expires = new Date(unlock.expiresAt);
-  if (expires <= new Date()) return;
+  if (!isUnlockedHere(unlock)) return;
 
   const bar = document.getElementById("countdownBar");
   bar.hidden = false;
 
   countdownInterval = setInterval(() => {
-    const remaining = expires - new Date();
+    const remaining = getUnlockExpiryBlocked(unlock) - Date.now();
     if (remaining <= 0) {
       clearInterval(countdownInterval);
       bar.hidden = true;
@@ -1103,7 +1611,7 @@ function renderAbstinenceTimer() {
 
   // Hide during unlock
   const unlock = (state.unlocks || {})[site];
-  if (unlock && new Date(unlock.expiresAt) > new Date()) {
+  if (isUnlockLive(unlock)) {
     el.hidden = true;
     if (abstinenceInterval) {
       clearInterval(abstinenceInterval);
@@ -1133,6 +1641,283 @@ function renderAbstinenceTimer() {
   abstinenceInterval = setInterval(update, 60000);
 }
 
+// ── Schedule ────────────────────────────────────────────────────────
+
+function renderScheduleHint() {
+  const el = document.getElementById("scheduleHint");
+
+  if (!siteStatus || !siteStatus.scheduled) {
+    el.hidden = true;
+    return;
+  }
+
+  if (!siteStatus.blockedNow) {
+    el.textContent = "Outside its blocking schedule — free right now";
+  } else if (siteStatus.nextFreeAt) {
+    el.textContent = `Blocked on schedule until ${formatDateTime(siteStatus.nextFreeAt)}`;
+  } else {
+    el.textContent = "Blocked on schedule";
+  }
+  el.hidden = false;
+}
+
+// Re-check once an unlock or pause gate lifts so the buttons enable by
+// themselves.
+function scheduleGateRefresh() {
+  if (!siteStatus) return;
+  const now = new Date();
+  const delays = [siteStatus.unlockGate, siteStatus.pauseGate]
+    .filter(Boolean)
+    .map((gate) => new Date(gate.availableAt) - now)
+    .filter((delay) => delay > 0);
+  if (delays.length === 0) return;
+
+  const delay = Math.min(...delays);
+  if (delay > 24 * 60 * 60 * 1000) return;
+
+  setTimeout(async () => {
+    const resp = await sendMessage({ type: "siteStatus", site });
+    siteStatus = resp && resp.ok ? resp.status : null;
+    render();
+    scheduleGateRefresh();
+  }, delay + 1000);
+}
+
+function isBudgetSpent() {
+  const budget = siteStatus && siteStatus.budget;
+  return Boolean(budget) && budget.remainingMs < 60000;
+}
+
+function renderBudgetHint() {
+  const el = document.getElementById("budgetHint");
+  const budget = siteStatus && siteStatus.budget;
+
+  if (!budget) {
+    el.hidden = true;
+    return;
+  }
+
+  el.textContent =
+    `Daily budget: ${formatDuration(budget.usedMs)} of ${budget.limitMinutes}m used` +
+    ` — ${formatDuration(budget.remainingMs)} left`;
+  el.hidden = false;
+}
+
+// ── Pause policy ────────────────────────────────────────────────────
+
+function getPausePolicy() {
+  const policy = (state.config && state.config.pausePolicy) || {};
+  return {
+    durations: Array.isArray(policy.durations) && policy.durations.length > 0
+      ? policy.durations
+      : [5, 15, 30],
+    minJustification: policy.minJustification >= 0 ? policy.minJustification : 120,
+    maxPerDay: policy.maxPerDay || null,
+    maxPerWeek: policy.maxPerWeek || null,
+    cooldownMinutes: policy.cooldownMinutes || 0,
+  };
+}
+
+function setupPauseControls() {
+  const policy = getPausePolicy();
+  const select = document.getElementById("pauseDuration");
+
+  select.innerHTML = "";
+  for (const minutes of policy.durations) {
+    const option = document.createElement("option");
+    option.value = String(minutes);
+    option.textContent = `${minutes} min`;
+    select.appendChild(option);
+  }
+
+  document.getElementById("pauseBtn").textContent = `Pause for ${policy.durations[0]} min`;
+  document.getElementById("pauseJustification").placeholder =
+    `Why do you need access right now? (minimum ${policy.minJustification} characters)`;
+  updatePauseButton();
+}
+
+function getPauseBlocker() {
+  if (!siteStatus) return null;
+  if (isBudgetSpent()) {
+    const tomorrow = new Date();
+    tomorrow.setHours(24, 0, 0, 0);
+    return { reason: "Daily budget used up", availableAt: tomorrow.toISOString() };
+  }
+  const gate = siteStatus.pauseGate || siteStatus.unlockGate;
+  return gate && new Date(gate.availableAt) > new Date() ? gate : null;
+}
+
+function updatePauseButton() {
+  const policy = getPausePolicy();
+  const len = document.getElementById("pauseJustification").value.trim().length;
+  const charcount = document.getElementById("pauseCharcount");
+  let met;
+
+  if (isPauseChallengeActive()) {
+    met = isPauseChallengeAnswered();
+    charcount.textContent = "";
+  } else {
+    met = len >= policy.minJustification;
+    charcount.textContent = `${len}/${policy.minJustification}`;
+  }
+
+  charcount.classList.toggle("met", met);
+  document.getElementById("pauseBtn").disabled = !met || Boolean(getPauseBlocker());
+}
+
+function renderPausePolicy() {
+  const el = document.getElementById("pausePolicyHint");
+  const policy = getPausePolicy();
+  const pauses = (siteStatus && siteStatus.pauses) || { today: 0, thisWeek: 0 };
+  const blocker = getPauseBlocker();
+
+  const parts = [];
+  if (policy.maxPerDay !== null) {
+    parts.push(`${Math.max(0, policy.maxPerDay - pauses.today)} of ${policy.maxPerDay} left today`);
+  }
+  if (policy.maxPerWeek !== null) {
+    parts.push(`${Math.max(0, policy.maxPerWeek - pauses.thisWeek)} of ${policy.maxPerWeek} left this week`);
+  }
+  if (policy.cooldownMinutes > 0) {
+    parts.push(`${policy.cooldownMinutes} min between pauses`);
+  }
+
+  if (blocker) {
+    el.textContent = `${blocker.reason} — next pause ${formatDateTime(blocker.availableAt)}`;
+  } else {
+    el.textContent = parts.join(" · ");
+  }
+  el.hidden = el.textContent === "";
+  updatePauseButton();
+}
+
+// ── Pause challenges ────────────────────────────────────────────────
+//
+// The background picks and checks the challenge; this only renders the
+// prompt and collects answers.
+
+const CHALLENGE_PROMPTS = {
+  retype: "Type the text below exactly to pause blocking.",
+  countdown: "Keep this tab focused until the countdown ends.",
+  arithmetic: "Solve these to pause blocking.",
+};
+
+function isPauseChallengeActive() {
+  return Boolean(pauseChallenge && pauseChallenge.type !== "justification");
+}
+
+async function startPauseChallenge() {
+  const resp = await sendMessage({ type: "pauseChallenge", site });
+  if (!resp.ok) {
+    showToast(resp.error || "Couldn't start the pause challenge");
+    return;
+  }
+
+  pauseChallenge = resp.challenge;
+  renderPauseChallenge();
+}
+
+function renderPauseChallenge() {
+  const active = isPauseChallengeActive();
+  const container = document.getElementById("pauseChallenge");
+  const text = document.getElementById("pauseChallengeText");
+  const inputs = document.getElementById("pauseChallengeInputs");
+
+  document.getElementById("pauseJustification").hidden = active;
+  container.hidden = !active;
+  inputs.innerHTML = "";
+  clearInterval(pauseChallengeInterval);
+  pauseChallengeInterval = null;
+
+  if (!active) {
+    updatePauseButton();
+    return;
+  }
+
+  document.getElementById("pausePrompt").textContent = CHALLENGE_PROMPTS[pauseChallenge.type];
+
+  if (pauseChallenge.type === "retype") {
+    text.textContent = pauseChallenge.text;
+    const input = createChallengeInput("text");
+    input.placeholder = "Type the text above";
+    inputs.appendChild(input);
+  } else if (pauseChallenge.type === "arithmetic") {
+    text.textContent = "";
+    for (const problem of pauseChallenge.problems) {
+      const row = document.createElement("label");
+      row.className = "pause-challenge-row";
+      row.textContent = `${problem} =`;
+      row.appendChild(createChallengeInput("number"));
+      inputs.appendChild(row);
+    }
+  } else if (pauseChallenge.type === "countdown") {
+    renderCountdownChallenge();
+    pauseChallengeInterval = setInterval(refreshCountdownChallenge, 1000);
+  }
+
+  updatePauseButton();
+}
+
+function createChallengeInput(type) {
+  const input = document.createElement("input");
+  input.type = type;
+  input.className = "pause-challenge-input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.addEventListener("paste", (e) => e.preventDefault());
+  input.addEventListener("drop", (e) => e.preventDefault());
+  input.addEventListener("input", updatePauseButton);
+  return input;
+}
+
+function renderCountdownChallenge() {
+  const text = document.getElementById("pauseChallengeText");
+  const seconds = Math.ceil(pauseChallenge.remainingMs / 1000);
+
+  if (seconds <= 0) {
+    text.textContent = "Done — you can pause now";
+  } else {
+    const label = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    text.textContent = pauseChallenge.focused ? `${label} left` : `${label} left (paused)`;
+  }
+}
+
+async function refreshCountdownChallenge() {
+  const resp = await sendMessage({ type: "pauseChallengeStatus", id: pauseChallenge.id });
+  if (!resp.ok) {
+    // Expired: issue a fresh one rather than leaving a dead countdown
+    pauseChallenge = null;
+    startPauseChallenge();
+    return;
+  }
+
+  pauseChallenge = resp.challenge;
+  renderCountdownChallenge();
+  updatePauseButton();
+  if (pauseChallenge.remainingMs <= 0) {
+    clearInterval(pauseChallengeInterval);
+    pauseChallengeInterval = null;
+  }
+}
+
+function getPauseChallengeAnswer() {
+  const values = Array.from(
+    document.querySelectorAll("#pauseChallengeInputs .pause-challenge-input"),
+    (input) => input.value.trim()
+  );
+  return pauseChallenge.type === "retype" ? values[0] : values;
+}
+
+function isPauseChallengeAnswered() {
+  if (pauseChallenge.type === "countdown") return pauseChallenge.remainingMs <= 0;
+
+  const answer = getPauseChallengeAnswer();
+  if (pauseChallenge.type === "retype") {
+    return answer.replace(/\s+/g, "").length === pauseChallenge.text.replace(/\s+/g, "").length;
+  }
+  return answer.every((value) => value !== "");
+}
+
 // ── Actions ─────────────────────────────────────────────────────────
 
 function setTaskCompletion(task, completed, timestamp) {
@@ -1223,7 +2008,8 @@ function syncCompositeCompletion(tasks) {
 }
 
 async function persistTasks(toastText = "") {
-  await sendMessage({ type: "updateTasks", tasks: state.tasks });
+  const resp = await sendMessage({ type: "updateTasks", tasks: state.tasks });
+  if (resp && Array.isArray(resp.creditLedger)) state.creditLedger = resp.creditLedger;
   render();
   if (toastText) showToast(toastText);
 }
@@ -1260,7 +2046,11 @@ async function addTask(text) {
     parentId: null,
     section: "Tasks",
     dueDate: parsed.dueDate,
+    scheduledDate: parsed.scheduledDate,
+    startDate: parsed.startDate,
     recurring: parsed.recurring,
+    priority: parsed.priority,
+    weight: parsed.weight,
     completedAt: null,
   };
 
@@ -1337,15 +2127,24 @@ async function handlePause() {
   const justification = document.getElementById("pauseJustification").value;
   const duration = parseInt(document.getElementById("pauseDuration").value, 10);
 
+  const challenge = isPauseChallengeActive()
+    ? { id: pauseChallenge.id, answer: getPauseChallengeAnswer() }
+    : undefined;
+
   const resp = await sendMessage({
     type: "pause",
     site,
     duration,
     justification,
+    challenge,
   });
 
   if (!resp.ok) {
     showToast(resp.error || "Pause failed");
+    if (/expired/i.test(resp.error || "")) {
+      pauseChallenge = null;
+      startPauseChallenge();
+    }
     return;
   }
 
@@ -1353,13 +2152,31 @@ async function handlePause() {
   render();
   startCountdownIfNeeded();
 
-  setTimeout(() => {
-    location.href = "https://" + site;
-  }, 500);
+  navigateToSite();
+}
+
+async function handleUrlPass() {
+  const resp = await sendMessage({ type: "urlPass", site, url: returnUrl });
+  if (!resp.ok) {
+    showToast(resp.error || "Pass failed");
+    return;
+  }
+
+  showToast("Pass granted for this page only");
+  navigateToSite();
 }
 
 async function handleUnlock() {
-  const resp = await sendMessage({ type: "unlock", site });
+  if (isFocusPage) {
+    await handleFocusStop();
+    return;
+  }
+
+  const resp = await sendMessage({
+    type: "unlock",
+    site,
+    minutes: isCreditModeBlocked() ? getMinutesToBuy() : undefined,
+  });
   if (!resp.ok) {
     showToast(resp.error || "Unlock requirements not met");
     return;
@@ -1369,9 +2186,29 @@ async function handleUnlock() {
   render();
   startCountdownIfNeeded();
 
-  // Navigate to the site
+  // Navigate back to the page that was blocked
+  navigateToSite();
+}
+
+async function handleFocusStop() {
+  const resp = await sendMessage({ type: "stopFocus" });
+  if (!resp.ok) {
+    showToast(resp.error || "Unlock requirements not met");
+    return;
+  }
+
+  state.focusMode = resp.focusMode;
+  render();
+  showToast("Deep focus ended");
+  navigateToSite();
+}
+
+function navigateToSite() {
+  const target = returnUrl || (site ? getSiteLandingUrl(site) : null);
+  if (!target) return;
+
   setTimeout(() => {
-    location.href = "https://" + site;
+    location.href = target;
   }, 500);
 }
 
@@ -1386,6 +2223,14 @@ function formatDate(dateStr) {
   return d.toLocaleDateString("en-US", { month: "short", day: "numeric" });
 }
 
+function formatDateTime(value) {
+  const date = new Date(value);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+  if (sameDay) return time;
+  return date.toLocaleDateString("en-US", { weekday: "short" }) + " " + time;
+}
+
 function showToast(text) {
   const toast = document.getElementById("toast");
   toast.textContent = text;
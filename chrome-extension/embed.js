@@ -0,0 +1,13 @@
+/* global chrome */
+
+// Stands in for a frame from a blocked site. The frame's own URL arrives
+// after "#", the same way it does for blocked.html.
+
+const site = new URLSearchParams(location.search).get("site") || "";
+
+document.getElementById("embedSite").textContent = site;
+
+const link = document.getElementById("embedLink");
+link.href = chrome.runtime.getURL(
+  "/blocked.html?site=" + encodeURIComponent(site) + location.hash
+);
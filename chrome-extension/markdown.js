@@ -6,11 +6,114 @@
  *   - [ ] Task text
  *     - [ ] Nested subtask
  *   - [x] Completed task (due: 2026-02-17)
- *   - [ ] Recurring task (daily)
+ *   - [ ] Recurring task (daily)  (or weekly, weekdays, every 2 days,
+ *         every mon,wed,fri, monthly on the 1st, every 3 weeks, ...)
+ *   - [ ] Weighted task (weight: 2)
+ *   - [x] Task finished on a given day (done: 2026-02-18)  (or ✅ 2026-02-18)
+ *   - [ ] Planned task (scheduled: 2026-02-19) (start: 2026-02-18) (priority: high)
+ *
+ * The Obsidian Tasks plugin's emoji are read as well — 📅 due, ⏳ scheduled,
+ * 🛫 start, ✅ done, 🔁 recurrence, ⏫/🔼/🔽 priority — and written
+ * when serialize() is given the "obsidian" format.
  */
 
 const DEFAULT_SECTION = "Tasks";
 const INDENT_WIDTH = 2;
+const PRIORITY_EMOJI = { high: "⏫", medium: "🔼", low: "🔽" };
+
+// Recurrence rules are stored on tasks as their canonical text: "daily",
+// "weekly", "weekdays", "every 2 days", "every 3 weeks", "every mon,wed,fri",
+// "monthly", "monthly on the 1st", "every 2 months on the 15th".
+// The grammar mirrors scripts/native-host.mjs, where it is tested.
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const RECURRENCE_PATTERN =
+  /\(((?:daily|weekly|weekdays|monthly|every)\b[^)]*)\)|🔁\s*(every\s[\w ,]*\w)/gi;
+
+/**
+ * Parse a recurrence rule into { unit, interval, days?, dayOfMonth? }.
+ * @param {string} text
+ * @returns {object|null} null when the text isn't a rule
+ */
+export function parseRecurrence(text) {
+  const rule = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (rule === "daily") return { unit: "day", interval: 1 };
+  if (rule === "weekly") return { unit: "week", interval: 1 };
+  if (rule === "weekdays" || rule === "every weekday") {
+    return { unit: "week", interval: 1, days: [1, 2, 3, 4, 5] };
+  }
+
+  const monthMatch = rule.match(
+    /^(?:monthly|every (?:(\d+) )?months?)(?: on the (\d{1,2})(?:st|nd|rd|th))?$/
+  );
+  if (monthMatch) {
+    const interval = Number(monthMatch[1] || 1);
+    const dayOfMonth = monthMatch[2] ? Number(monthMatch[2]) : null;
+    if (interval < 1 || (dayOfMonth !== null && (dayOfMonth < 1 || dayOfMonth > 31))) return null;
+    return { unit: "month", interval, dayOfMonth };
+  }
+
+  const intervalMatch = rule.match(/^every (?:(\d+) )?(day|week)s?$/);
+  if (intervalMatch) {
+    const interval = Number(intervalMatch[1] || 1);
+    return interval >= 1 ? { unit: intervalMatch[2], interval } : null;
+  }
+
+  // "every mon,wed,fri", or the Tasks plugin's "every week on Monday, Friday"
+  const daysMatch = rule.match(/^every (?:week on )?([a-z, ]+)$/);
+  if (daysMatch) {
+    const days = [];
+    for (const name of daysMatch[1].split(/\s*,\s*|\s+and\s+|\s+/).filter(Boolean)) {
+      const day = WEEKDAY_NAMES.findIndex((full) => name.length >= 3 && full.startsWith(name));
+      if (day === -1) return null;
+      if (!days.includes(day)) days.push(day);
+    }
+    return days.length > 0 ? { unit: "week", interval: 1, days: days.sort() } : null;
+  }
+
+  return null;
+}
+
+function isWeekdayRule(rule) {
+  return Boolean(rule.days) && rule.days.join(",") === "1,2,3,4,5";
+}
+
+function formatOrdinal(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return n + (["th", "st", "nd", "rd"][n % 10] || "th");
+}
+
+function formatRecurrence(rule) {
+  if (rule.unit === "day") {
+    return rule.interval === 1 ? "daily" : `every ${rule.interval} days`;
+  }
+  if (rule.unit === "week") {
+    if (isWeekdayRule(rule)) return "weekdays";
+    if (rule.days) return `every ${rule.days.map((day) => WEEKDAY_NAMES[day].slice(0, 3)).join(",")}`;
+    return rule.interval === 1 ? "weekly" : `every ${rule.interval} weeks`;
+  }
+  const base = rule.interval === 1 ? "monthly" : `every ${rule.interval} months`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// The same rule in the Tasks plugin's wording, without the 🔁.
+function formatObsidianRecurrence(rule) {
+  if (isWeekdayRule(rule)) return "every weekday";
+  if (rule.days) {
+    const names = rule.days.map((day) => WEEKDAY_NAMES[day][0].toUpperCase() + WEEKDAY_NAMES[day].slice(1));
+    return `every week on ${names.join(", ")}`;
+  }
+  const base = rule.interval === 1 ? `every ${rule.unit}` : `every ${rule.interval} ${rule.unit}s`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// First `(rule)` or `🔁 rule` token in `text` that is a valid rule.
+function findRecurrence(text) {
+  for (const match of text.matchAll(RECURRENCE_PATTERN)) {
+    const rule = parseRecurrence(match[1] || match[2]);
+    if (rule) return { token: match[0], recurring: formatRecurrence(rule) };
+  }
+  return null;
+}
 
 function getIndentLevel(indent) {
   const expanded = indent.replace(/\t/g, " ".repeat(INDENT_WIDTH));
@@ -25,16 +128,79 @@ function normalizeParentLevel(level, parentStack) {
   return normalized;
 }
 
-function formatTaskLine(task, depth) {
+// Done dates are the local calendar day, like the dates the user types.
+function getLocalDateKey(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getDoneDate(task) {
+  if (!task.completed || !task.completedAt) return null;
+  const date = new Date(task.completedAt);
+  return Number.isNaN(date.getTime()) ? null : getLocalDateKey(date);
+}
+
+// A done date read from the file stands for that whole day, from local
+// midnight.
+function getDoneDateStart(doneDate) {
+  const [year, month, day] = doneDate.split("-").map(Number);
+  return new Date(year, month - 1, day).toISOString();
+}
+
+function formatTaskLine(task, depth, format = "tollgate") {
   const check = task.completed ? "x" : " ";
   const indent = " ".repeat(depth * INDENT_WIDTH);
   let line = `${indent}- [${check}] ${task.text}`;
+  const doneDate = getDoneDate(task);
+  const rule = task.recurring ? parseRecurrence(task.recurring) : null;
+
+  if (format === "obsidian") {
+    // The Tasks plugin only reads emoji at the end of the line, so the
+    // weight, which has no emoji, goes first.
+    if (typeof task.weight === "number") {
+      line += ` (weight: ${task.weight})`;
+    }
+    if (PRIORITY_EMOJI[task.priority]) {
+      line += ` ${PRIORITY_EMOJI[task.priority]}`;
+    }
+    if (rule) {
+      line += ` 🔁 ${formatObsidianRecurrence(rule)}`;
+    }
+    if (task.startDate) {
+      line += ` 🛫 ${task.startDate}`;
+    }
+    if (task.scheduledDate) {
+      line += ` ⏳ ${task.scheduledDate}`;
+    }
+    if (task.dueDate) {
+      line += ` 📅 ${task.dueDate}`;
+    }
+    if (doneDate) {
+      line += ` ✅ ${doneDate}`;
+    }
+    return line;
+  }
 
   if (task.dueDate) {
     line += ` (due: ${task.dueDate})`;
   }
-  if (task.recurring) {
-    line += ` (${task.recurring})`;
+  if (task.scheduledDate) {
+    line += ` (scheduled: ${task.scheduledDate})`;
+  }
+  if (task.startDate) {
+    line += ` (start: ${task.startDate})`;
+  }
+  if (rule) {
+    line += ` (${formatRecurrence(rule)})`;
+  }
+  if (task.priority) {
+    line += ` (priority: ${task.priority})`;
+  }
+  if (typeof task.weight === "number") {
+    line += ` (weight: ${task.weight})`;
+  }
+  if (doneDate) {
+    line += ` (done: ${doneDate})`;
   }
 
   return line;
@@ -123,20 +289,62 @@ export function parse(markdown) {
       const completed = taskMatch[2].toLowerCase() === "x";
       let text = taskMatch[3].trim();
       let dueDate = null;
+      let scheduledDate = null;
+      let startDate = null;
       let recurring = null;
+      let priority = null;
+      let weight = null;
+      let doneDate = null;
 
-      // Extract due date: (due: YYYY-MM-DD)
-      const dueMatch = text.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)/);
+      // Extract due date: (due: YYYY-MM-DD) or 📅 YYYY-MM-DD
+      const dueMatch = text.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)|📅\s*(\d{4}-\d{2}-\d{2})/);
       if (dueMatch) {
-        dueDate = dueMatch[1];
+        dueDate = dueMatch[1] || dueMatch[2];
         text = text.replace(dueMatch[0], "").trim();
       }
 
-      // Extract recurring: (daily) or (weekly)
-      const recurringMatch = text.match(/\((daily|weekly)\)/);
-      if (recurringMatch) {
-        recurring = recurringMatch[1];
-        text = text.replace(recurringMatch[0], "").trim();
+      // Extract scheduled date: (scheduled: YYYY-MM-DD) or ⏳ YYYY-MM-DD
+      const scheduledMatch = text.match(/\(scheduled:\s*(\d{4}-\d{2}-\d{2})\)|⏳\s*(\d{4}-\d{2}-\d{2})/);
+      if (scheduledMatch) {
+        scheduledDate = scheduledMatch[1] || scheduledMatch[2];
+        text = text.replace(scheduledMatch[0], "").trim();
+      }
+
+      // Extract start date: (start: YYYY-MM-DD) or 🛫 YYYY-MM-DD
+      const startMatch = text.match(/\(start:\s*(\d{4}-\d{2}-\d{2})\)|🛫\s*(\d{4}-\d{2}-\d{2})/);
+      if (startMatch) {
+        startDate = startMatch[1] || startMatch[2];
+        text = text.replace(startMatch[0], "").trim();
+      }
+
+      // Extract recurring: (every 2 days), 🔁 every weekday, ...
+      const recurrence = findRecurrence(text);
+      if (recurrence) {
+        recurring = recurrence.recurring;
+        text = text.replace(recurrence.token, "").trim();
+      }
+
+      // Extract priority: (priority: high|medium|low) or ⏫ / 🔼 / 🔽
+      const priorityMatch = text.match(/\(priority:\s*(high|medium|low)\)|(⏫|🔼|🔽)/);
+      if (priorityMatch) {
+        priority =
+          priorityMatch[1] ||
+          Object.keys(PRIORITY_EMOJI).find((key) => PRIORITY_EMOJI[key] === priorityMatch[2]);
+        text = text.replace(priorityMatch[0], "").trim();
+      }
+
+      // Extract credit weight: (weight: 1.5)
+      const weightMatch = text.match(/\(weight:\s*(\d+(?:\.\d+)?)\)/);
+      if (weightMatch) {
+        weight = Number(weightMatch[1]);
+        text = text.replace(weightMatch[0], "").trim();
+      }
+
+      // Extract completion date: (done: YYYY-MM-DD) or ✅ YYYY-MM-DD
+      const doneMatch = text.match(/\(done:\s*(\d{4}-\d{2}-\d{2})\)|✅\s*(\d{4}-\d{2}-\d{2})/);
+      if (doneMatch) {
+        doneDate = doneMatch[1] || doneMatch[2];
+        text = text.replace(doneMatch[0], "").trim();
       }
 
       const level = normalizeParentLevel(
@@ -152,8 +360,16 @@ export function parse(markdown) {
         completed,
         parentId,
         dueDate,
+        scheduledDate,
+        startDate,
         recurring,
-        completedAt: completed ? new Date().toISOString() : null,
+        priority,
+        weight,
+        completedAt: completed
+          ? doneDate
+            ? getDoneDateStart(doneDate)
+            : new Date().toISOString()
+          : null,
       });
       parentStack[level] = id;
       parentStack.length = level + 1;
@@ -167,16 +383,17 @@ export function parse(markdown) {
 /**
  * Serialize structured sections/tasks back to markdown.
  * @param {Array<{ name: string, tasks: Array }>} sections
+ * @param {"tollgate"|"obsidian"} [format] syntax for task metadata
  * @returns {string}
  */
-export function serialize(sections) {
+export function serialize(sections, format = "tollgate") {
   const parts = [];
 
   for (const section of sections) {
     parts.push(`## ${section.name}`);
 
     for (const { task, depth } of orderTasksForSerialization(section.tasks || [])) {
-      parts.push(formatTaskLine(task, depth));
+      parts.push(formatTaskLine(task, depth, format));
     }
 
     parts.push(""); // blank line between sections
@@ -7,9 +7,32 @@ let backupStatus = {
   latestSyncAt: null,
 };
 let unlockIntervals = [];
+let focusInterval = null;
 let abstinenceTimerInterval = null;
 let statusMessage = "";
 let editingGroupId = null;
+let editingSite = null;
+
+const CREDIT_INPUTS = ["creditsToggle", "creditMinutesInput", "creditWeightsInput"];
+
+const PAUSE_POLICY_INPUTS = [
+  "pauseDurationsInput",
+  "pauseMinJustificationInput",
+  "pauseMaxPerDayInput",
+  "pauseMaxPerWeekInput",
+  "pauseCooldownInput",
+];
+
+// Monday-first display order; values follow Date#getDay (0 = Sunday).
+const SCHEDULE_DAYS = [
+  { value: 1, label: "M" },
+  { value: 2, label: "T" },
+  { value: 3, label: "W" },
+  { value: 4, label: "T" },
+  { value: 5, label: "F" },
+  { value: 6, label: "S" },
+  { value: 0, label: "S" },
+];
 
 // ── Init ────────────────────────────────────────────────────────────
 
@@ -45,6 +68,36 @@ document.addEventListener("DOMContentLoaded", async () => {
       void updateConfig({ unlockSection: event.target.value });
     });
 
+  document.getElementById("unlockScopeSelect").addEventListener("change", (event) => {
+    void updateConfig({ unlockScope: event.target.value });
+  });
+
+  document.getElementById("unlockClockSelect").addEventListener("change", (event) => {
+    void updateConfig({ unlockClock: event.target.value });
+  });
+
+  // Pause policy
+  for (const id of PAUSE_POLICY_INPUTS) {
+    document.getElementById(id).addEventListener("change", () => {
+      void updateConfig({ pausePolicy: readPausePolicyInputs() });
+    });
+  }
+
+  // Credits
+  for (const id of CREDIT_INPUTS) {
+    document.getElementById(id).addEventListener("change", () => {
+      void updateConfig({ credits: readCreditInputs() });
+    });
+  }
+
+  // Commitment lock
+  document.getElementById("commitmentToggle").addEventListener("change", (event) => {
+    void updateCommitment({ active: event.target.checked });
+  });
+  document.getElementById("commitmentDelaySelect").addEventListener("change", (event) => {
+    void updateCommitment({ delayHours: parseInt(event.target.value, 10) });
+  });
+
   // Group actions
   document.getElementById("groupAddBtn").addEventListener("click", () => {
     openGroupEditor(null);
@@ -56,6 +109,22 @@ document.addEventListener("DOMContentLoaded", async () => {
     closeGroupEditor();
   });
 
+  // Site settings actions
+  document.getElementById("siteSaveBtn").addEventListener("click", () => {
+    void saveSiteSettings();
+  });
+  document.getElementById("siteCancelBtn").addEventListener("click", () => {
+    closeSiteEditor();
+  });
+
+  // Deep focus actions
+  document.getElementById("focusStartBtn").addEventListener("click", () => {
+    void startFocus();
+  });
+  document.getElementById("focusStopBtn").addEventListener("click", () => {
+    void stopFocus();
+  });
+
   // Backup / sync actions
   document.getElementById("backupNowBtn").addEventListener("click", () => {
     void createBackup();
@@ -127,16 +196,108 @@ function resolveGroupForSite(site, siteGroups) {
   return siteGroups.find((g) => g.sites.includes(site)) || null;
 }
 
+// Price of the next unlock today, following any escalation curve.
 function getEffectiveCostForSite(site) {
   const siteGroups = state.siteGroups || [];
   const siteSettings = state.siteSettings || {};
   const group = resolveGroupForSite(site, siteGroups);
-  if (group && group.cost >= 1) return group.cost;
-  const settings = siteSettings[site];
-  if (settings && settings.cost >= 1) return settings.cost;
+  const unlocksToday = getUnlockCountToday(group ? group.sites : [site]);
+  const groupCost = getCostStep(group, unlocksToday);
+  if (groupCost !== null) return groupCost;
+  return getCostStep(siteSettings[site], unlocksToday);
+}
+
+function getCostStep(owner, unlocksToday) {
+  if (!owner) return null;
+  const curve = owner.costEscalation;
+  if (Array.isArray(curve) && curve.length > 0) {
+    return curve[Math.min(unlocksToday, curve.length - 1)];
+  }
+  return owner.cost >= 1 ? owner.cost : null;
+}
+
+function getUnlockCountToday(sites) {
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  return (state.timeLog || []).filter(
+    (entry) =>
+      entry.unlockedAt &&
+      !entry.paused &&
+      entry.type !== "pass" &&
+      sites.includes(entry.site) &&
+      new Date(entry.unlockedAt).getTime() >= dayStart
+  ).length;
+}
+
+function parseCostEscalationInput(value) {
+  const steps = value
+    .split(/[\s,]+/)
+    .map((part) => parseInt(part, 10))
+    .filter((step) => step >= 1);
+  return steps.length > 0 ? steps : null;
+}
+
+function formatCostTitle(owner, cost) {
+  const curve = owner && owner.costEscalation;
+  if (Array.isArray(curve) && curve.length > 0) {
+    return `Unlock cost: ${cost} tasks now (escalates ${curve.join(", ")} per day)`;
+  }
+  return `Unlock cost: ${cost} tasks`;
+}
+
+function getDailyBudgetForSite(site) {
+  const group = resolveGroupForSite(site, state.siteGroups || []);
+  if (group && group.dailyBudgetMinutes >= 1) return group.dailyBudgetMinutes;
+  const settings = (state.siteSettings || {})[site];
+  if (settings && settings.dailyBudgetMinutes >= 1) return settings.dailyBudgetMinutes;
   return null;
 }
 
+function getUsageTodayMs(sites) {
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  let total = 0;
+
+  for (const entry of state.timeLog || []) {
+    if (!entry.unlockedAt || !sites.includes(entry.site)) continue;
+
+    // Attended unlocks count what they used of their own balance
+    if (entry.clock === "attended") {
+      if (new Date(entry.unlockedAt).getTime() < dayStart) continue;
+      if (typeof entry.usedMs === "number") {
+        total += entry.usedMs;
+        continue;
+      }
+      const unlock = (state.unlocks || {})[entry.site];
+      if (!entry.lockedAt && unlock && unlock.unlockedAt === entry.unlockedAt) {
+        const grantedMs = (unlock.cooldownMinutes || unlock.creditMinutes || 0) * 60000;
+        const remainingMs = Math.max(0, getUnlockExpiry(unlock) - now.getTime());
+        total += Math.max(0, grantedMs - remainingMs);
+      }
+      continue;
+    }
+
+    const start = Math.max(new Date(entry.unlockedAt).getTime(), dayStart);
+    let end = entry.lockedAt ? new Date(entry.lockedAt).getTime() : now.getTime();
+    if (entry.expiresAt) end = Math.min(end, new Date(entry.expiresAt).getTime());
+    if (end > start) total += end - start;
+  }
+
+  return total;
+}
+
+function createBudgetBadge(limitMinutes, sites) {
+  const usedMs = getUsageTodayMs(sites);
+  const remainingMs = Math.max(0, limitMinutes * 60000 - usedMs);
+
+  const badge = document.createElement("span");
+  badge.className = "site-badge site-badge--budget";
+  badge.classList.toggle("spent", remainingMs < 60000);
+  badge.textContent = `${formatDuration(remainingMs)} left`;
+  badge.title = `Daily budget: ${formatDuration(usedMs)} of ${limitMinutes}m used today`;
+  return badge;
+}
+
 function getSiteLastLockedAt(site) {
   const siteGroups = state.siteGroups || [];
   const siteSettings = state.siteSettings || {};
@@ -147,9 +308,45 @@ function getSiteLastLockedAt(site) {
   return null;
 }
 
+function parseSiteListInput(value) {
+  return value
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function getScheduleForSite(site) {
+  const group = resolveGroupForSite(site, state.siteGroups || []);
+  if (group && Array.isArray(group.schedule) && group.schedule.length > 0) {
+    return group.schedule;
+  }
+  const settings = (state.siteSettings || {})[site];
+  if (settings && Array.isArray(settings.schedule) && settings.schedule.length > 0) {
+    return settings.schedule;
+  }
+  return null;
+}
+
+function formatSchedule(schedule) {
+  return schedule
+    .map((slot) => {
+      const days = SCHEDULE_DAYS.filter((day) => slot.days.includes(day.value))
+        .map((day) => day.label)
+        .join("");
+      return `${days} ${slot.start}-${slot.end}`;
+    })
+    .join(", ");
+}
+
+// A stopped attended clock holds its time in pausedRemainingMs
+function getUnlockExpiry(unlock, now = Date.now()) {
+  if (typeof unlock.pausedRemainingMs === "number") return now + unlock.pausedRemainingMs;
+  return new Date(unlock.expiresAt).getTime();
+}
+
 function isSiteUnlocked(site) {
   const unlock = (state.unlocks || {})[site];
-  return unlock && new Date(unlock.expiresAt).getTime() > Date.now();
+  return unlock && getUnlockExpiry(unlock) > Date.now();
 }
 
 async function refreshState() {
@@ -169,13 +366,98 @@ async function updateConfig(configPatch) {
     config: configPatch,
   });
 
+  if (await reportQueuedChange(resp)) return;
+
   if (resp.ok) {
     state.config = resp.config;
     renderConfig();
+    renderStats();
     setStatus("Settings updated");
   }
 }
 
+function readPausePolicyInputs() {
+  const number = (id) => parseInt(document.getElementById(id).value, 10);
+  const durations = document.getElementById("pauseDurationsInput").value
+    .split(/[\s,]+/)
+    .map((part) => parseInt(part, 10))
+    .filter((minutes) => minutes >= 1);
+  const minJustification = number("pauseMinJustificationInput");
+
+  return {
+    durations,
+    minJustification: minJustification >= 0 ? minJustification : 120,
+    maxPerDay: number("pauseMaxPerDayInput") || null,
+    maxPerWeek: number("pauseMaxPerWeekInput") || null,
+    cooldownMinutes: number("pauseCooldownInput") || 0,
+  };
+}
+
+// "Work: 2, Chores: 0.5" -> { Work: 2, Chores: 0.5 }
+function parseSectionWeightsInput(value) {
+  const weights = {};
+  for (const part of value.split(",")) {
+    const separator = part.lastIndexOf(":");
+    if (separator === -1) continue;
+    const section = part.slice(0, separator).trim();
+    const weight = parseFloat(part.slice(separator + 1));
+    if (section && weight >= 0) weights[section] = weight;
+  }
+  return weights;
+}
+
+function readCreditInputs() {
+  const minutesPerTask = parseInt(document.getElementById("creditMinutesInput").value, 10);
+  return {
+    enabled: document.getElementById("creditsToggle").checked,
+    minutesPerTask: minutesPerTask >= 1 ? minutesPerTask : 10,
+    sectionWeights: parseSectionWeightsInput(
+      document.getElementById("creditWeightsInput").value
+    ),
+  };
+}
+
+function getCreditBalance() {
+  return (state.creditLedger || []).reduce(
+    (sum, entry) => sum + (Number(entry.minutes) || 0),
+    0
+  );
+}
+
+async function updateCommitment(commitmentPatch) {
+  const resp = await chrome.runtime.sendMessage({
+    type: "setCommitment",
+    commitment: commitmentPatch,
+  });
+
+  if (await reportQueuedChange(resp)) return;
+
+  if (resp.ok) {
+    state.commitment = resp.commitment;
+    renderCommitment();
+    setStatus(resp.commitment.active ? "Commitment lock on" : "Commitment lock off");
+  }
+}
+
+// Under the commitment lock a loosening change comes back queued instead of
+// applied. Re-render so the form shows the settings still in force.
+async function reportQueuedChange(resp) {
+  if (!resp || !resp.queued) return false;
+
+  await refreshState();
+  render();
+  setStatus(`Queued: ${resp.change.summary} — applies ${formatDateTime(resp.change.appliesAt)}`);
+  return true;
+}
+
+async function cancelPendingChange(id) {
+  const resp = await chrome.runtime.sendMessage({ type: "cancelPendingChange", id });
+  if (resp.ok) {
+    state.pendingChanges = resp.pendingChanges;
+    renderCommitment();
+  }
+}
+
 // ── Actions ─────────────────────────────────────────────────────────
 
 async function addSite(input) {
@@ -187,6 +469,8 @@ async function addSite(input) {
     state.blockedSites = resp.blockedSites;
     input.value = "";
     renderSites();
+  } else {
+    setStatus(resp.error || "Failed to add site");
   }
 }
 
@@ -205,6 +489,38 @@ async function handleUnlockModeChange(mode) {
   await updateConfig({ unlockMode: nextMode, unlockSection: nextSection });
 }
 
+async function startFocus() {
+  const allowlist = parseSiteListInput(
+    document.getElementById("focusAllowlistInput").value
+  );
+  const duration = parseInt(document.getElementById("focusDurationSelect").value, 10);
+
+  const resp = await chrome.runtime.sendMessage({
+    type: "startFocus",
+    allowlist,
+    duration,
+  });
+
+  if (resp.ok) {
+    state.focusMode = resp.focusMode;
+    renderFocus();
+    setStatus("Deep focus started");
+  } else {
+    setStatus(resp.error || "Failed to start deep focus");
+  }
+}
+
+async function stopFocus() {
+  const resp = await chrome.runtime.sendMessage({ type: "stopFocus" });
+  if (resp.ok) {
+    state.focusMode = resp.focusMode;
+    renderFocus();
+    setStatus("Deep focus ended");
+  } else {
+    setStatus(resp.error || "Failed to stop deep focus");
+  }
+}
+
 async function createBackup() {
   const resp = await chrome.runtime.sendMessage({ type: "backupCreate" });
   if (resp.ok) {
@@ -260,7 +576,9 @@ function render() {
   renderStats();
   renderSites();
   renderGroups();
+  renderFocus();
   renderUnlocks();
+  renderCommitment();
   renderConfig();
   renderBackupStatus();
   startAbstinenceTimers();
@@ -275,14 +593,23 @@ function renderStats() {
   for (const t of tasks) {
     if (t.parentId) parentIds.add(t.parentId);
   }
-  const today = new Date().toISOString().slice(0, 10);
+  const now = new Date();
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
   const doneToday = tasks.filter(
-    (task) => !parentIds.has(task.id) && task.completed && task.completedAt && task.completedAt.startsWith(today)
+    (task) =>
+      !parentIds.has(task.id) &&
+      task.completed &&
+      task.completedAt &&
+      new Date(task.completedAt).getTime() >= dayStart
   ).length;
   document.getElementById("tasksToday").textContent = doneToday;
 
   const cooldown = (state.config && state.config.cooldownMinutes) || 30;
   document.getElementById("cooldownStatus").textContent = cooldown + "m";
+
+  const credits = (state.config && state.config.credits) || {};
+  document.getElementById("creditStat").hidden = !credits.enabled;
+  document.getElementById("creditBalance").textContent = Math.max(0, getCreditBalance()) + "m";
 }
 
 function renderSites() {
@@ -294,7 +621,10 @@ function renderSites() {
     pill.className = "site-pill";
 
     const nameSpan = document.createElement("span");
+    nameSpan.className = "site-name";
     nameSpan.textContent = site;
+    nameSpan.title = "Edit site settings";
+    nameSpan.addEventListener("click", () => openSiteEditor(site));
     pill.appendChild(nameSpan);
 
     // Group badge
@@ -312,7 +642,23 @@ function renderSites() {
       const badge = document.createElement("span");
       badge.className = "site-badge site-badge--cost";
       badge.textContent = cost + "t";
-      badge.title = `Unlock cost: ${cost} tasks`;
+      badge.title = formatCostTitle(group || (state.siteSettings || {})[site], cost);
+      pill.appendChild(badge);
+    }
+
+    // Budget badge
+    const budget = getDailyBudgetForSite(site);
+    if (budget !== null) {
+      pill.appendChild(createBudgetBadge(budget, group ? group.sites : [site]));
+    }
+
+    // Schedule badge
+    const schedule = getScheduleForSite(site);
+    if (schedule) {
+      const badge = document.createElement("span");
+      badge.className = "site-badge site-badge--schedule";
+      badge.textContent = "sched";
+      badge.title = `Blocked ${formatSchedule(schedule)}`;
       pill.appendChild(badge);
     }
 
@@ -335,6 +681,7 @@ function renderSites() {
         type: "removeSite",
         site,
       });
+      if (await reportQueuedChange(resp)) return;
       if (resp.ok) {
         state.blockedSites = resp.blockedSites;
         // Also refresh siteGroups/siteSettings
@@ -348,11 +695,166 @@ function renderSites() {
   }
 }
 
+function openSiteEditor(site) {
+  editingSite = site;
+  const settings = (state.siteSettings || {})[site] || {};
+
+  document.getElementById("siteEditorTitle").textContent = site;
+  document.getElementById("siteExceptionsInput").value =
+    (settings.exceptions || []).join(", ");
+  renderScheduleEditor(
+    document.getElementById("siteScheduleEditor"),
+    settings.schedule || []
+  );
+  document.getElementById("siteBudgetInput").value =
+    settings.dailyBudgetMinutes >= 1 ? settings.dailyBudgetMinutes : "";
+  document.getElementById("siteEscalationInput").value =
+    (settings.costEscalation || []).join(", ");
+  document.getElementById("siteCooldownInput").value =
+    settings.cooldownMinutes >= 1 ? settings.cooldownMinutes : "";
+  document.getElementById("siteMaxUnlocksInput").value =
+    settings.maxUnlocksPerDay >= 1 ? settings.maxUnlocksPerDay : "";
+  document.getElementById("siteGapInput").value =
+    settings.relockGapMinutes >= 1 ? settings.relockGapMinutes : "";
+  document.getElementById("siteBlockEmbedsInput").checked = settings.blockEmbeds === true;
+  document.getElementById("sitePauseChallengeSelect").value =
+    settings.pauseChallenge || "justification";
+  document.getElementById("siteEditor").hidden = false;
+}
+
+function closeSiteEditor() {
+  document.getElementById("siteEditor").hidden = true;
+  editingSite = null;
+}
+
+async function saveSiteSettings() {
+  if (!editingSite) return;
+
+  const exceptions = parseSiteListInput(
+    document.getElementById("siteExceptionsInput").value
+  );
+
+  const schedule = readScheduleEditor(
+    document.getElementById("siteScheduleEditor")
+  );
+  const budgetVal = parseInt(document.getElementById("siteBudgetInput").value, 10);
+  const cooldownVal = parseInt(document.getElementById("siteCooldownInput").value, 10);
+  const maxUnlocksVal = parseInt(document.getElementById("siteMaxUnlocksInput").value, 10);
+  const gapVal = parseInt(document.getElementById("siteGapInput").value, 10);
+  const costEscalation = parseCostEscalationInput(
+    document.getElementById("siteEscalationInput").value
+  );
+
+  const resp = await chrome.runtime.sendMessage({
+    type: "updateSiteSettings",
+    site: editingSite,
+    exceptions,
+    schedule,
+    dailyBudgetMinutes: budgetVal >= 1 ? budgetVal : null,
+    blockEmbeds: document.getElementById("siteBlockEmbedsInput").checked,
+    cooldownMinutes: cooldownVal >= 1 ? cooldownVal : null,
+    costEscalation,
+    maxUnlocksPerDay: maxUnlocksVal >= 1 ? maxUnlocksVal : null,
+    relockGapMinutes: gapVal >= 1 ? gapVal : null,
+    pauseChallenge: document.getElementById("sitePauseChallengeSelect").value,
+  });
+
+  if (resp.queued) closeSiteEditor();
+  if (await reportQueuedChange(resp)) return;
+
+  if (resp.ok) {
+    closeSiteEditor();
+    await refreshState();
+    render();
+  } else {
+    setStatus(resp.error || "Failed to save site settings");
+  }
+}
+
+function renderScheduleEditor(container, schedule) {
+  container.innerHTML = "";
+
+  for (const slot of schedule) {
+    container.appendChild(createScheduleRow(slot));
+  }
+
+  if (schedule.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "schedule-empty";
+    empty.textContent = "Always blocked";
+    container.appendChild(empty);
+  }
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "schedule-add-btn";
+  addBtn.textContent = "+ Window";
+  addBtn.addEventListener("click", () => {
+    const empty = container.querySelector(".schedule-empty");
+    if (empty) empty.remove();
+    container.insertBefore(
+      createScheduleRow({ days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00" }),
+      addBtn
+    );
+  });
+  container.appendChild(addBtn);
+}
+
+function createScheduleRow(slot) {
+  const row = document.createElement("div");
+  row.className = "schedule-row";
+
+  const days = document.createElement("div");
+  days.className = "schedule-days";
+  for (const day of SCHEDULE_DAYS) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "schedule-day";
+    btn.textContent = day.label;
+    btn.dataset.day = String(day.value);
+    btn.classList.toggle("active", slot.days.includes(day.value));
+    btn.addEventListener("click", () => btn.classList.toggle("active"));
+    days.appendChild(btn);
+  }
+  row.appendChild(days);
+
+  const start = document.createElement("input");
+  start.type = "time";
+  start.className = "schedule-time schedule-start";
+  start.value = slot.start;
+  row.appendChild(start);
+
+  const end = document.createElement("input");
+  end.type = "time";
+  end.className = "schedule-time schedule-end";
+  end.value = slot.end;
+  row.appendChild(end);
+
+  const removeBtn = document.createElement("button");
+  removeBtn.type = "button";
+  removeBtn.className = "schedule-remove";
+  removeBtn.textContent = "\u00d7";
+  removeBtn.addEventListener("click", () => row.remove());
+  row.appendChild(removeBtn);
+
+  return row;
+}
+
+function readScheduleEditor(container) {
+  return Array.from(container.querySelectorAll(".schedule-row")).map((row) => ({
+    days: Array.from(row.querySelectorAll(".schedule-day.active")).map((btn) =>
+      parseInt(btn.dataset.day, 10)
+    ),
+    start: row.querySelector(".schedule-start").value,
+    end: row.querySelector(".schedule-end").value,
+  }));
+}
+
 function renderUnlocks() {
   const unlocks = state.unlocks || {};
   const now = Date.now();
   const active = Object.entries(unlocks).filter(
-    ([, unlock]) => new Date(unlock.expiresAt).getTime() > now
+    ([, unlock]) => getUnlockExpiry(unlock, now) > now
   );
 
   const section = document.getElementById("unlocksSection");
@@ -399,19 +901,24 @@ function renderUnlocks() {
     } else {
       name.textContent = key;
     }
+    if (typeof unlock.tabId === "number") {
+      name.textContent += " · one tab";
+    }
 
     const timer = document.createElement("span");
     timer.className = "unlock-timer";
 
     const updateTimer = () => {
-      const remaining = new Date(unlock.expiresAt) - Date.now();
+      const now = Date.now();
+      const remaining = getUnlockExpiry(unlock, now) - now;
       if (remaining <= 0) {
         timer.textContent = "locked";
         return;
       }
       const m = Math.floor(remaining / 60000);
       const s = Math.floor((remaining % 60000) / 1000);
-      timer.textContent = `${m}:${String(s).padStart(2, "0")}`;
+      const paused = typeof unlock.pausedRemainingMs === "number";
+      timer.textContent = `${m}:${String(s).padStart(2, "0")}${paused ? " paused" : ""}`;
     };
 
     updateTimer();
@@ -442,6 +949,93 @@ function renderUnlocks() {
   }
 }
 
+function renderFocus() {
+  const focusMode = state.focusMode || {};
+  const endsAt = focusMode.endsAt ? new Date(focusMode.endsAt).getTime() : null;
+  const active = Boolean(focusMode.active) && (!endsAt || endsAt > Date.now());
+
+  const setup = document.getElementById("focusSetup");
+  const activeRow = document.getElementById("focusActive");
+  const status = document.getElementById("focusStatus");
+
+  if (focusInterval) {
+    clearInterval(focusInterval);
+    focusInterval = null;
+  }
+
+  setup.hidden = active;
+  activeRow.hidden = !active;
+
+  const allowlistInput = document.getElementById("focusAllowlistInput");
+  if (!allowlistInput.value) {
+    allowlistInput.value = (focusMode.allowlist || []).join(", ");
+  }
+
+  if (!active) return;
+
+  const updateStatus = () => {
+    if (!endsAt) {
+      status.textContent = "Focus on — until stopped";
+      return;
+    }
+    const remaining = endsAt - Date.now();
+    status.textContent = remaining > 0
+      ? `Focus on — ${formatDuration(remaining)} left`
+      : "Focus ending";
+  };
+
+  updateStatus();
+  focusInterval = setInterval(updateStatus, 30000);
+}
+
+function renderCommitment() {
+  const commitment = state.commitment || { active: false, delayHours: 24 };
+  document.getElementById("commitmentToggle").checked = Boolean(commitment.active);
+
+  const delaySelect = document.getElementById("commitmentDelaySelect");
+  const delay = String(commitment.delayHours || 24);
+  if (!Array.from(delaySelect.options).some((option) => option.value === delay)) {
+    const option = document.createElement("option");
+    option.value = delay;
+    option.textContent = delay + " hours";
+    delaySelect.appendChild(option);
+  }
+  delaySelect.value = delay;
+
+  const list = document.getElementById("pendingChangeList");
+  list.innerHTML = "";
+
+  for (const change of state.pendingChanges || []) {
+    const item = document.createElement("div");
+    item.className = "unlock-item";
+
+    const name = document.createElement("span");
+    name.textContent = change.summary;
+
+    const when = document.createElement("span");
+    when.className = "unlock-timer";
+    if (change.error) {
+      when.textContent = "Failed: " + change.error;
+      when.title = "Could not be applied " + formatDateTime(change.failedAt);
+    } else {
+      when.textContent = formatDateTime(change.appliesAt);
+      when.title = "Applies " + formatDateTime(change.appliesAt);
+    }
+
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "relock-btn";
+    cancelBtn.textContent = change.error ? "Dismiss" : "Cancel";
+    cancelBtn.addEventListener("click", () => {
+      void cancelPendingChange(change.id);
+    });
+
+    item.appendChild(name);
+    item.appendChild(when);
+    item.appendChild(cancelBtn);
+    list.appendChild(item);
+  }
+}
+
 function renderGroups() {
   const list = document.getElementById("groupList");
   list.innerHTML = "";
@@ -467,14 +1061,19 @@ function renderGroups() {
     nameEl.textContent = group.name;
     header.appendChild(nameEl);
 
-    if (group.cost >= 1) {
+    const groupCost = getCostStep(group, getUnlockCountToday(group.sites));
+    if (groupCost !== null) {
       const costBadge = document.createElement("span");
       costBadge.className = "group-cost-badge";
-      costBadge.textContent = group.cost + "t";
-      costBadge.title = `Unlock cost: ${group.cost} tasks`;
+      costBadge.textContent = groupCost + "t";
+      costBadge.title = formatCostTitle(group, groupCost);
       header.appendChild(costBadge);
     }
 
+    if (group.dailyBudgetMinutes >= 1) {
+      header.appendChild(createBudgetBadge(group.dailyBudgetMinutes, group.sites));
+    }
+
     const headerActions = document.createElement("div");
     headerActions.className = "group-header-actions";
 
@@ -524,10 +1123,30 @@ function openGroupEditor(group) {
   const editor = document.getElementById("groupEditor");
   const nameInput = document.getElementById("groupNameInput");
   const costInput = document.getElementById("groupCostInput");
+  const exceptionsInput = document.getElementById("groupExceptionsInput");
   const checkboxes = document.getElementById("groupSiteCheckboxes");
 
   nameInput.value = group ? group.name : "";
   costInput.value = group && group.cost >= 1 ? group.cost : "";
+  document.getElementById("groupEscalationInput").value =
+    group ? (group.costEscalation || []).join(", ") : "";
+  exceptionsInput.value = group ? (group.exceptions || []).join(", ") : "";
+  renderScheduleEditor(
+    document.getElementById("groupScheduleEditor"),
+    group ? group.schedule || [] : []
+  );
+  document.getElementById("groupBudgetInput").value =
+    group && group.dailyBudgetMinutes >= 1 ? group.dailyBudgetMinutes : "";
+  document.getElementById("groupCooldownInput").value =
+    group && group.cooldownMinutes >= 1 ? group.cooldownMinutes : "";
+  document.getElementById("groupMaxUnlocksInput").value =
+    group && group.maxUnlocksPerDay >= 1 ? group.maxUnlocksPerDay : "";
+  document.getElementById("groupGapInput").value =
+    group && group.relockGapMinutes >= 1 ? group.relockGapMinutes : "";
+  document.getElementById("groupBlockEmbedsInput").checked =
+    Boolean(group && group.blockEmbeds === true);
+  document.getElementById("groupPauseChallengeSelect").value =
+    (group && group.pauseChallenge) || "";
 
   // Build site checkboxes from blockedSites
   checkboxes.innerHTML = "";
@@ -570,6 +1189,25 @@ async function saveGroup() {
 
   const costVal = parseInt(document.getElementById("groupCostInput").value, 10);
   const cost = costVal >= 1 ? costVal : null;
+  const costEscalation = parseCostEscalationInput(
+    document.getElementById("groupEscalationInput").value
+  );
+  const exceptions = parseSiteListInput(
+    document.getElementById("groupExceptionsInput").value
+  );
+  const schedule = readScheduleEditor(
+    document.getElementById("groupScheduleEditor")
+  );
+  const budgetVal = parseInt(document.getElementById("groupBudgetInput").value, 10);
+  const dailyBudgetMinutes = budgetVal >= 1 ? budgetVal : null;
+  const blockEmbeds = document.getElementById("groupBlockEmbedsInput").checked;
+  const cooldownVal = parseInt(document.getElementById("groupCooldownInput").value, 10);
+  const cooldownMinutes = cooldownVal >= 1 ? cooldownVal : null;
+  const maxUnlocksVal = parseInt(document.getElementById("groupMaxUnlocksInput").value, 10);
+  const maxUnlocksPerDay = maxUnlocksVal >= 1 ? maxUnlocksVal : null;
+  const gapVal = parseInt(document.getElementById("groupGapInput").value, 10);
+  const relockGapMinutes = gapVal >= 1 ? gapVal : null;
+  const pauseChallenge = document.getElementById("groupPauseChallengeSelect").value;
 
   let resp;
   if (editingGroupId) {
@@ -579,6 +1217,15 @@ async function saveGroup() {
       name,
       sites,
       cost,
+      costEscalation,
+      exceptions,
+      schedule,
+      dailyBudgetMinutes,
+      blockEmbeds,
+      cooldownMinutes,
+      maxUnlocksPerDay,
+      relockGapMinutes,
+      pauseChallenge,
     });
   } else {
     resp = await chrome.runtime.sendMessage({
@@ -586,9 +1233,21 @@ async function saveGroup() {
       name,
       sites,
       cost,
+      costEscalation,
+      exceptions,
+      schedule,
+      dailyBudgetMinutes,
+      blockEmbeds,
+      cooldownMinutes,
+      maxUnlocksPerDay,
+      relockGapMinutes,
+      pauseChallenge,
     });
   }
 
+  if (resp.queued) closeGroupEditor();
+  if (await reportQueuedChange(resp)) return;
+
   if (resp.ok) {
     closeGroupEditor();
     await refreshState();
@@ -600,6 +1259,7 @@ async function saveGroup() {
 
 async function removeGroup(id) {
   const resp = await chrome.runtime.sendMessage({ type: "removeGroup", id });
+  if (await reportQueuedChange(resp)) return;
   if (resp.ok) {
     await refreshState();
     render();
@@ -625,12 +1285,34 @@ function updateAbstinenceTimers() {
 function renderConfig() {
   const config = state.config || {};
 
+  const pausePolicy = config.pausePolicy || {};
+  document.getElementById("pauseDurationsInput").value =
+    (pausePolicy.durations || [5, 15, 30]).join(", ");
+  document.getElementById("pauseMinJustificationInput").value =
+    pausePolicy.minJustification >= 0 ? pausePolicy.minJustification : 120;
+  document.getElementById("pauseMaxPerDayInput").value = pausePolicy.maxPerDay || "";
+  document.getElementById("pauseMaxPerWeekInput").value = pausePolicy.maxPerWeek || "";
+  document.getElementById("pauseCooldownInput").value = pausePolicy.cooldownMinutes || "";
+
+  const credits = config.credits || {};
+  document.getElementById("creditsToggle").checked = credits.enabled === true;
+  document.getElementById("creditMinutesInput").value = credits.minutesPerTask || 10;
+  document.getElementById("creditWeightsInput").value = Object.entries(
+    credits.sectionWeights || {}
+  )
+    .map(([section, weight]) => `${section}: ${weight}`)
+    .join(", ");
+
   document.getElementById("cooldownSelect").value = String(
     config.cooldownMinutes || 30
   );
 
   const unlockMode = config.unlockMode === "section" ? "section" : "all";
   document.getElementById("unlockModeSelect").value = unlockMode;
+  document.getElementById("unlockScopeSelect").value =
+    config.unlockScope === "tab" ? "tab" : "site";
+  document.getElementById("unlockClockSelect").value =
+    config.unlockClock === "attended" ? "attended" : "wall";
 
   const sectionSelect = document.getElementById("unlockSectionSelect");
   const sections = getTaskSections();
@@ -8,15 +8,19 @@
  * using stdin/stdout with length-prefixed JSON messages.
  */
 
-import { readFileSync, writeFileSync, watchFile, unwatchFile, existsSync, mkdirSync } from "fs";
+import { readFileSync, writeFileSync, watchFile, unwatchFile, existsSync, mkdirSync, realpathSync } from "fs";
 import { homedir } from "os";
 import { join } from "path";
+import { fileURLToPath } from "url";
 
 // ── Config ──────────────────────────────────────────────────────────
 
 const CONFIG_DIR = join(homedir(), ".tollgate");
 const CONFIG_PATH = join(CONFIG_DIR, "config.json");
 
+// config.json: { markdownPath, taskFormat }. taskFormat picks the syntax
+// task metadata is written in — "tollgate" (`(due: …)`) or "obsidian" (the
+// Tasks plugin's emoji). Both are always read.
 function loadConfig() {
   try {
     return JSON.parse(readFileSync(CONFIG_PATH, "utf8"));
@@ -25,10 +29,172 @@ function loadConfig() {
   }
 }
 
+// ── Recurrence ──────────────────────────────────────────────────────
+//
+// Rules are stored on tasks as their canonical text: "daily", "weekly",
+// "weekdays", "every 2 days", "every 3 weeks", "every mon,wed,fri",
+// "monthly", "monthly on the 1st", "every 2 months on the 15th".
+// chrome-extension/blocked.js and markdown.js carry copies, since
+// neither can import this file; the tests here cover all of them.
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const RECURRENCE_PATTERN =
+  /\(((?:daily|weekly|weekdays|monthly|every)\b[^)]*)\)|🔁\s*(every\s[\w ,]*\w)/gi;
+
+function parseRecurrence(text) {
+  const rule = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (rule === "daily") return { unit: "day", interval: 1 };
+  if (rule === "weekly") return { unit: "week", interval: 1 };
+  if (rule === "weekdays" || rule === "every weekday") {
+    return { unit: "week", interval: 1, days: [1, 2, 3, 4, 5] };
+  }
+
+  const monthMatch = rule.match(
+    /^(?:monthly|every (?:(\d+) )?months?)(?: on the (\d{1,2})(?:st|nd|rd|th))?$/
+  );
+  if (monthMatch) {
+    const interval = Number(monthMatch[1] || 1);
+    const dayOfMonth = monthMatch[2] ? Number(monthMatch[2]) : null;
+    if (interval < 1 || (dayOfMonth !== null && (dayOfMonth < 1 || dayOfMonth > 31))) return null;
+    return { unit: "month", interval, dayOfMonth };
+  }
+
+  const intervalMatch = rule.match(/^every (?:(\d+) )?(day|week)s?$/);
+  if (intervalMatch) {
+    const interval = Number(intervalMatch[1] || 1);
+    return interval >= 1 ? { unit: intervalMatch[2], interval } : null;
+  }
+
+  // "every mon,wed,fri", or the Tasks plugin's "every week on Monday, Friday"
+  const daysMatch = rule.match(/^every (?:week on )?([a-z, ]+)$/);
+  if (daysMatch) {
+    const days = [];
+    for (const name of daysMatch[1].split(/\s*,\s*|\s+and\s+|\s+/).filter(Boolean)) {
+      const day = WEEKDAY_NAMES.findIndex((full) => name.length >= 3 && full.startsWith(name));
+      if (day === -1) return null;
+      if (!days.includes(day)) days.push(day);
+    }
+    return days.length > 0 ? { unit: "week", interval: 1, days: days.sort() } : null;
+  }
+
+  return null;
+}
+
+function isWeekdayRule(rule) {
+  return Boolean(rule.days) && rule.days.join(",") === "1,2,3,4,5";
+}
+
+function formatOrdinal(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return n + (["th", "st", "nd", "rd"][n % 10] || "th");
+}
+
+function formatRecurrence(rule) {
+  if (rule.unit === "day") {
+    return rule.interval === 1 ? "daily" : `every ${rule.interval} days`;
+  }
+  if (rule.unit === "week") {
+    if (isWeekdayRule(rule)) return "weekdays";
+    if (rule.days) return `every ${rule.days.map((day) => WEEKDAY_NAMES[day].slice(0, 3)).join(",")}`;
+    return rule.interval === 1 ? "weekly" : `every ${rule.interval} weeks`;
+  }
+  const base = rule.interval === 1 ? "monthly" : `every ${rule.interval} months`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// The same rule in the Tasks plugin's wording, without the 🔁.
+function formatObsidianRecurrence(rule) {
+  if (isWeekdayRule(rule)) return "every weekday";
+  if (rule.days) {
+    const names = rule.days.map((day) => WEEKDAY_NAMES[day][0].toUpperCase() + WEEKDAY_NAMES[day].slice(1));
+    return `every week on ${names.join(", ")}`;
+  }
+  const base = rule.interval === 1 ? `every ${rule.unit}` : `every ${rule.interval} ${rule.unit}s`;
+  return rule.dayOfMonth ? `${base} on the ${formatOrdinal(rule.dayOfMonth)}` : base;
+}
+
+// First `(rule)` or `🔁 rule` token in `text` that is a valid rule.
+function findRecurrence(text) {
+  for (const match of text.matchAll(RECURRENCE_PATTERN)) {
+    const rule = parseRecurrence(match[1] || match[2]);
+    if (rule) return { token: match[0], recurring: formatRecurrence(rule) };
+  }
+  return null;
+}
+
+// Dates below are "YYYY-MM-DD" keys, worked on in UTC so days never
+// shift under a DST change.
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getWeekStart(dateKey) {
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((day + 6) % 7)); // back to Monday
+}
+
+// Day `day` of the month `months` after dateKey's, clamped to its length.
+function getMonthDay(dateKey, months, day) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+// The first date after dateKey on which the rule recurs, counting dateKey
+// itself as an occurrence. Without "on the Nth", a monthly rule keeps the
+// day of month its series started on: `anchorDay`, when dateKey is that
+// day clamped to a short month, so Jan 31 goes to Feb 28 and back to
+// Mar 31.
+function getNextOccurrence(rule, dateKey, anchorDay = null) {
+  if (rule.unit === "day") return addDays(dateKey, rule.interval);
+
+  if (rule.unit === "week" && rule.days) {
+    let next = addDays(dateKey, 1);
+    while (!rule.days.includes(new Date(`${next}T00:00:00Z`).getUTCDay())) {
+      next = addDays(next, 1);
+    }
+    return next;
+  }
+
+  if (rule.unit === "week") return addDays(dateKey, 7 * rule.interval);
+
+  const day =
+    rule.dayOfMonth ||
+    (anchorDay && getMonthDay(dateKey, 0, anchorDay) === dateKey
+      ? anchorDay
+      : Number(dateKey.slice(8, 10)));
+  const thisMonth = getMonthDay(dateKey, 0, day);
+  return thisMonth > dateKey ? thisMonth : getMonthDay(dateKey, rule.interval, day);
+}
+
+// The day a task completed on doneKey comes back. "weekly" and "every N
+// weeks" follow calendar weeks: the task returns on the Monday N weeks
+// after the week it was done in, whatever day that was.
+function getResetDate(rule, doneKey) {
+  if (rule.unit === "week" && !rule.days) {
+    return addDays(getWeekStart(doneKey), 7 * rule.interval);
+  }
+  return getNextOccurrence(rule, doneKey);
+}
+
+// A reset task's due date moves to the first occurrence after it that
+// isn't already past, keeping the day of month it was first due on.
+function rollDueDate(rule, dueKey, todayKey, anchorDay = Number(dueKey.slice(8, 10))) {
+  let next = getNextOccurrence(rule, dueKey, anchorDay);
+  while (next < todayKey) next = getNextOccurrence(rule, next, anchorDay);
+  return next;
+}
+
 // ── Markdown parser (mirrors chrome-extension/markdown.js) ──────────
 
 const DEFAULT_SECTION = "Tasks";
 const INDENT_WIDTH = 2;
+const TASK_FORMATS = ["tollgate", "obsidian"];
+const PRIORITY_EMOJI = { high: "⏫", medium: "🔼", low: "🔽" };
 
 function getIndentLevel(indent) {
   const expanded = indent.replace(/\t/g, " ".repeat(INDENT_WIDTH));
@@ -43,17 +209,58 @@ function normalizeParentLevel(level, parentStack) {
   return normalized;
 }
 
-function formatTaskLine(task, depth) {
+function formatTaskLine(task, depth, format = "tollgate") {
   const check = task.completed ? "x" : " ";
   const indent = " ".repeat(depth * INDENT_WIDTH);
   let line = `${indent}- [${check}] ${task.text}`;
+  const doneDate = getDoneDate(task);
+  const rule = task.recurring ? parseRecurrence(task.recurring) : null;
+
+  if (format === "obsidian") {
+    // The Tasks plugin only reads emoji at the end of the line, so the
+    // weight, which has no emoji, goes first.
+    if (typeof task.weight === "number") line += ` (weight: ${task.weight})`;
+    if (PRIORITY_EMOJI[task.priority]) line += ` ${PRIORITY_EMOJI[task.priority]}`;
+    if (rule) line += ` 🔁 ${formatObsidianRecurrence(rule)}`;
+    if (task.startDate) line += ` 🛫 ${task.startDate}`;
+    if (task.scheduledDate) line += ` ⏳ ${task.scheduledDate}`;
+    if (task.dueDate) line += ` 📅 ${task.dueDate}`;
+    if (doneDate) line += ` ✅ ${doneDate}`;
+    return line;
+  }
 
   if (task.dueDate) line += ` (due: ${task.dueDate})`;
-  if (task.recurring) line += ` (${task.recurring})`;
+  if (task.scheduledDate) line += ` (scheduled: ${task.scheduledDate})`;
+  if (task.startDate) line += ` (start: ${task.startDate})`;
+  if (rule) line += ` (${formatRecurrence(rule)})`;
+  if (task.priority) line += ` (priority: ${task.priority})`;
+  if (typeof task.weight === "number") line += ` (weight: ${task.weight})`;
+  if (doneDate) line += ` (done: ${doneDate})`;
 
   return line;
 }
 
+// Done dates are the local calendar day, like the dates the user types.
+function getLocalDateKey(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getDoneDate(task) {
+  if (!task.completed || !task.completedAt) return null;
+  const date = new Date(task.completedAt);
+  return Number.isNaN(date.getTime()) ? null : getLocalDateKey(date);
+}
+
+// A done date read from the file stands for that whole day, from local
+// midnight. Ticked lines without one get their completion time in
+// reconcileTasks.
+function getCompletedAt(completed, doneDate) {
+  if (!completed || !doneDate) return null;
+  const [year, month, day] = doneDate.split("-").map(Number);
+  return new Date(year, month - 1, day).toISOString();
+}
+
 function orderTasksForSerialization(tasks) {
   const tasksById = new Map(tasks.map((task) => [task.id, task]));
   const childrenByParent = new Map();
@@ -98,103 +305,392 @@ function orderTasksForSerialization(tasks) {
 }
 
 function parse(markdown) {
-  if (!markdown || !markdown.trim()) return { sections: [] };
+  return { sections: parseDocument(markdown).sections };
+}
 
-  const lines = markdown.split("\n");
+function flattenTasks(parsed) {
+  const tasks = [];
+  for (const section of parsed.sections) {
+    for (const task of section.tasks) {
+      tasks.push({ ...task, section: section.name });
+    }
+  }
+  return tasks;
+}
+
+function groupBySections(tasks) {
+  const map = new Map();
+  for (const task of tasks) {
+    const name = task.section || DEFAULT_SECTION;
+    if (!map.has(name)) map.set(name, []);
+    map.get(name).push(task);
+  }
+  return Array.from(map.entries()).map(([name, tasks]) => ({ name, tasks }));
+}
+
+// ── Document model ──────────────────────────────────────────────────
+//
+// serialize() only knows headings and tasks, so writing through it would
+// drop everything else in the notes file. A document keeps every line as
+// it was read; only task lines are interpreted, and serializeDocument()
+// rewrites just the ones whose task changed.
+
+function parseTaskText(text) {
+  let rest = text;
+  let dueDate = null;
+  let scheduledDate = null;
+  let startDate = null;
+  let recurring = null;
+  let priority = null;
+  let weight = null;
+  let doneDate = null;
+
+  const dueMatch = rest.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)|📅\s*(\d{4}-\d{2}-\d{2})/);
+  if (dueMatch) {
+    dueDate = dueMatch[1] || dueMatch[2];
+    rest = rest.replace(dueMatch[0], "").trim();
+  }
+
+  const scheduledMatch = rest.match(/\(scheduled:\s*(\d{4}-\d{2}-\d{2})\)|⏳\s*(\d{4}-\d{2}-\d{2})/);
+  if (scheduledMatch) {
+    scheduledDate = scheduledMatch[1] || scheduledMatch[2];
+    rest = rest.replace(scheduledMatch[0], "").trim();
+  }
+
+  const startMatch = rest.match(/\(start:\s*(\d{4}-\d{2}-\d{2})\)|🛫\s*(\d{4}-\d{2}-\d{2})/);
+  if (startMatch) {
+    startDate = startMatch[1] || startMatch[2];
+    rest = rest.replace(startMatch[0], "").trim();
+  }
+
+  const recurrence = findRecurrence(rest);
+  if (recurrence) {
+    recurring = recurrence.recurring;
+    rest = rest.replace(recurrence.token, "").trim();
+  }
+
+  const priorityMatch = rest.match(/\(priority:\s*(high|medium|low)\)|(⏫|🔼|🔽)/);
+  if (priorityMatch) {
+    priority =
+      priorityMatch[1] ||
+      Object.keys(PRIORITY_EMOJI).find((key) => PRIORITY_EMOJI[key] === priorityMatch[2]);
+    rest = rest.replace(priorityMatch[0], "").trim();
+  }
+
+  const weightMatch = rest.match(/\(weight:\s*(\d+(?:\.\d+)?)\)/);
+  if (weightMatch) {
+    weight = Number(weightMatch[1]);
+    rest = rest.replace(weightMatch[0], "").trim();
+  }
+
+  const doneMatch = rest.match(/\(done:\s*(\d{4}-\d{2}-\d{2})\)|✅\s*(\d{4}-\d{2}-\d{2})/);
+  if (doneMatch) {
+    doneDate = doneMatch[1] || doneMatch[2];
+    rest = rest.replace(doneMatch[0], "").trim();
+  }
+
+  return { text: rest, dueDate, scheduledDate, startDate, recurring, priority, weight, doneDate };
+}
+
+function parseDocument(markdown) {
+  const lines = [];
   const sections = [];
   let currentSection = null;
   const parentStack = [];
 
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    const headingMatch = trimmed.match(/^##\s+(.+)$/);
+  for (const raw of (markdown || "").split("\n")) {
+    // CRLF files keep their "\r" in `raw`; matching ignores it.
+    const line = raw.endsWith("\r") ? raw.slice(0, -1) : raw;
+    const headingMatch = line.trim().match(/^##\s+(.+)$/);
     if (headingMatch) {
       currentSection = { name: headingMatch[1].trim(), tasks: [] };
       sections.push(currentSection);
       parentStack.length = 0;
+      lines.push({ type: "heading", raw, section: currentSection.name });
       continue;
     }
 
     const taskMatch = line.match(/^(\s*)-\s+\[([ xX])\]\s+(.+)$/);
-    if (taskMatch) {
-      if (!currentSection) {
-        currentSection = { name: DEFAULT_SECTION, tasks: [] };
-        sections.push(currentSection);
-        parentStack.length = 0;
-      }
+    if (!taskMatch) {
+      lines.push({ type: "text", raw });
+      continue;
+    }
 
-      const completed = taskMatch[2].toLowerCase() === "x";
-      let text = taskMatch[3].trim();
-      let dueDate = null;
-      let recurring = null;
+    if (!currentSection) {
+      currentSection = { name: DEFAULT_SECTION, tasks: [] };
+      sections.push(currentSection);
+      parentStack.length = 0;
+    }
 
-      const dueMatch = text.match(/\(due:\s*(\d{4}-\d{2}-\d{2})\)/);
-      if (dueMatch) {
-        dueDate = dueMatch[1];
-        text = text.replace(dueMatch[0], "").trim();
-      }
+    const completed = taskMatch[2].toLowerCase() === "x";
+    const level = normalizeParentLevel(getIndentLevel(taskMatch[1]), parentStack);
+    const id = crypto.randomUUID();
+    const { doneDate, ...fields } = parseTaskText(taskMatch[3].trim());
+    const task = {
+      id,
+      ...fields,
+      completed,
+      parentId: level > 0 ? parentStack[level - 1] : null,
+      completedAt: getCompletedAt(completed, doneDate),
+    };
 
-      const recurringMatch = text.match(/\((daily|weekly)\)/);
-      if (recurringMatch) {
-        recurring = recurringMatch[1];
-        text = text.replace(recurringMatch[0], "").trim();
-      }
+    currentSection.tasks.push(task);
+    parentStack[level] = id;
+    parentStack.length = level + 1;
+    lines.push({
+      type: "task",
+      raw,
+      indent: taskMatch[1],
+      depth: level,
+      section: currentSection.name,
+      doneDate: completed ? doneDate : null,
+      task,
+    });
+  }
 
-      const level = normalizeParentLevel(
-        getIndentLevel(taskMatch[1]),
-        parentStack
-      );
-      const id = crypto.randomUUID();
-      const parentId = level > 0 ? parentStack[level - 1] : null;
-
-      currentSection.tasks.push({
-        id,
-        text,
-        completed,
-        parentId,
-        dueDate,
-        recurring,
-        completedAt: completed ? new Date().toISOString() : null,
-      });
-      parentStack[level] = id;
-      parentStack.length = level + 1;
-    }
+  return { lines, sections };
+}
+
+// Swaps the freshly parsed tasks on a document's lines for their
+// reconciled versions; both lists are in file order.
+function attachTasks(document, tasks) {
+  let index = 0;
+  for (const line of document.lines) {
+    if (line.type === "task") line.task = tasks[index++];
   }
+  return document;
+}
 
-  return { sections };
+// A line without a done date only gains one once the task's completion
+// time actually changes, so ticked lines written by hand stay as they are.
+function isSameTaskLine(line, task, depth) {
+  const previous = line.task;
+  return (
+    line.depth === depth &&
+    previous.text === task.text &&
+    previous.completed === Boolean(task.completed) &&
+    previous.dueDate === (task.dueDate || null) &&
+    previous.scheduledDate === (task.scheduledDate || null) &&
+    previous.startDate === (task.startDate || null) &&
+    previous.recurring === (task.recurring || null) &&
+    previous.priority === (task.priority || null) &&
+    previous.weight === (typeof task.weight === "number" ? task.weight : null) &&
+    (previous.completedAt === (task.completedAt || null) || line.doneDate === getDoneDate(task))
+  );
 }
 
-function serialize(sections) {
-  const parts = [];
-  for (const section of sections) {
-    parts.push(`## ${section.name}`);
-    for (const { task, depth } of orderTasksForSerialization(section.tasks || [])) {
-      parts.push(formatTaskLine(task, depth));
+// Writes `tasks` into `document`. Lines that aren't tasks are kept as they
+// were, unchanged tasks keep their original line, and edited tasks are
+// reformatted in place. A task that moved to another section or parent is
+// written where it now belongs; new tasks go after their parent's subtree
+// or at the end of their section, and new sections at the end of the file.
+function serializeDocument(document, tasks, format = "tollgate") {
+  const depthById = new Map();
+  const parentById = new Map();
+  const orderedBySection = new Map();
+  for (const { name, tasks: sectionTasks } of groupBySections(tasks)) {
+    const ordered = orderTasksForSerialization(sectionTasks);
+    const stack = [];
+    for (const { task, depth } of ordered) {
+      stack[depth] = task.id;
+      depthById.set(task.id, depth);
+      parentById.set(task.id, depth > 0 ? stack[depth - 1] : null);
     }
-    parts.push("");
+    orderedBySection.set(name, ordered);
   }
-  return parts.join("\n").trim() + "\n";
-}
 
-function flattenTasks(parsed) {
-  const tasks = [];
-  for (const section of parsed.sections) {
-    for (const task of section.tasks) {
-      tasks.push({ ...task, section: section.name });
+  const tasksById = new Map(tasks.map((task) => [task.id, task]));
+  const output = [];
+  const placed = new Set();
+  const subtreeEnd = new Map();
+  const sectionEnd = new Map();
+  let section = DEFAULT_SECTION;
+
+  for (const line of document.lines) {
+    if (line.type === "heading") {
+      section = line.section;
+      output.push(line.raw);
+      sectionEnd.set(section, output.length);
+      continue;
+    }
+    if (line.type === "text") {
+      output.push(line.raw);
+      continue;
     }
+
+    const id = line.task.id;
+    const task = tasksById.get(id);
+    const parentId = parentById.get(id);
+    const inPlace =
+      task &&
+      !placed.has(id) &&
+      (task.section || DEFAULT_SECTION) === section &&
+      (parentId === null || placed.has(parentId));
+    if (!inPlace) continue;
+
+    const depth = depthById.get(id);
+    const eol = line.raw.endsWith("\r") ? "\r" : "";
+    output.push(
+      isSameTaskLine(line, task, depth)
+        ? line.raw
+        : line.depth === depth
+          ? line.indent + formatTaskLine(task, 0, format) + eol
+          : formatTaskLine(task, depth, format) + eol
+    );
+    placed.add(id);
+    markSubtreeEnd(id, output.length, parentById, subtreeEnd);
+    sectionEnd.set(section, output.length);
   }
-  return tasks;
+
+  // New tasks are grouped by the output line they follow and spliced in
+  // from the bottom up, so earlier anchors stay valid.
+  const insertions = new Map();
+  const groupOf = new Map();
+  const newSections = [];
+  for (const [name, ordered] of orderedBySection) {
+    const fresh = ordered.filter(({ task }) => !placed.has(task.id));
+    if (fresh.length === 0) continue;
+
+    if (!sectionEnd.has(name)) {
+      newSections.push([
+        `## ${name}`,
+        ...fresh.map(({ task, depth }) => formatTaskLine(task, depth, format)),
+      ]);
+      continue;
+    }
+
+    for (const { task, depth } of fresh) {
+      const parentId = parentById.get(task.id);
+      let group = groupOf.get(parentId);
+      if (!group) {
+        const anchor = placed.has(parentId) ? subtreeEnd.get(parentId) : sectionEnd.get(name);
+        group = getInsertion(insertions, anchor);
+      }
+      group.push(formatTaskLine(task, depth, format));
+      groupOf.set(task.id, group);
+    }
+  }
+
+  for (const anchor of [...insertions.keys()].sort((a, b) => b - a)) {
+    output.splice(anchor, 0, ...insertions.get(anchor));
+  }
+
+  const markdown = output.join("\n");
+  if (newSections.length === 0) return markdown;
+
+  const body = newSections.map((lines) => lines.join("\n")).join("\n\n") + "\n";
+  if (!markdown.trim()) return body;
+  const separator = markdown.endsWith("\n\n") ? "" : markdown.endsWith("\n") ? "\n" : "\n\n";
+  return markdown + separator + body;
 }
 
-function groupBySections(tasks) {
-  const map = new Map();
-  for (const task of tasks) {
-    const name = task.section || DEFAULT_SECTION;
-    if (!map.has(name)) map.set(name, []);
-    map.get(name).push(task);
+function getInsertion(insertions, anchor) {
+  if (!insertions.has(anchor)) insertions.set(anchor, []);
+  return insertions.get(anchor);
+}
+
+function markSubtreeEnd(id, end, parentById, subtreeEnd) {
+  let current = id;
+  while (current) {
+    subtreeEnd.set(current, end);
+    current = parentById.get(current);
   }
-  return Array.from(map.entries()).map(([name, tasks]) => ({ name, tasks }));
+}
+
+// Every parse() hands out fresh ids and knows completion times only from
+// done dates, so a re-read file is matched against the last task list the
+// host and extension agreed on.
+// Text matches come first (same section and parent, then anywhere); the
+// leftovers are paired with vanished tasks in the same section and parent
+// as edits, nearest position first. Matched tasks keep their id and any
+// fields the file doesn't carry.
+function reconcileTasks(parsedTasks, knownTasks) {
+  const known = Array.isArray(knownTasks) ? knownTasks : [];
+  const knownPositions = getSectionPositions(known);
+  const parsedPositions = getSectionPositions(parsedTasks);
+  const parsedTexts = new Set(parsedTasks.map((task) => task.text));
+  const matches = new Array(parsedTasks.length).fill(-1);
+  const used = new Set();
+  const idMap = new Map();
+
+  const isInPlace = (task, candidate) =>
+    (candidate.section || DEFAULT_SECTION) === (task.section || DEFAULT_SECTION) &&
+    (candidate.parentId || null) ===
+      (task.parentId ? idMap.get(task.parentId) || null : null);
+
+  const findMatch = (index, test) => {
+    let best = -1;
+    let bestDistance = Infinity;
+    known.forEach((candidate, i) => {
+      if (used.has(i) || !test(candidate)) return;
+      const distance = Math.abs(knownPositions[i] - parsedPositions[index]);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  const setMatch = (index, match) => {
+    matches[index] = match;
+    used.add(match);
+    idMap.set(parsedTasks[index].id, known[match].id);
+  };
+
+  parsedTasks.forEach((task, index) => {
+    let match = findMatch(index, (c) => c.text === task.text && isInPlace(task, c));
+    if (match === -1) match = findMatch(index, (c) => c.text === task.text);
+    if (match !== -1) setMatch(index, match);
+  });
+
+  const edits = [];
+  parsedTasks.forEach((task, index) => {
+    if (matches[index] !== -1) return;
+    known.forEach((candidate, i) => {
+      if (used.has(i) || parsedTexts.has(candidate.text)) return;
+      if (!isInPlace(task, candidate)) return;
+      edits.push({ index, match: i, distance: Math.abs(knownPositions[i] - parsedPositions[index]) });
+    });
+  });
+  edits.sort((a, b) => a.distance - b.distance || a.index - b.index);
+  for (const { index, match } of edits) {
+    if (matches[index] === -1 && !used.has(match)) setMatch(index, match);
+  }
+
+  return parsedTasks.map((task, index) => {
+    const parentId = task.parentId ? idMap.get(task.parentId) || task.parentId : null;
+    const previous = matches[index] === -1 ? {} : known[matches[index]];
+    return {
+      ...previous,
+      ...task,
+      id: previous.id || task.id,
+      parentId,
+      completedAt: getReconciledCompletedAt(previous, task),
+    };
+  });
+}
+
+// The stored timestamp is more precise than the file's done date, so it
+// wins unless the file says the task was done on another day. A ticked
+// line without a done date keeps the stored time, or is done as of now.
+function getReconciledCompletedAt(previous, task) {
+  if (!task.completed) return null;
+  const stored = previous.completed && previous.completedAt ? previous.completedAt : null;
+  if (!task.completedAt) return stored || new Date().toISOString();
+  if (stored && getDoneDate(previous) === getDoneDate(task)) return stored;
+  return task.completedAt;
+}
+
+// Index of each task among the tasks of its own section.
+function getSectionPositions(tasks) {
+  const counts = new Map();
+  return tasks.map((task) => {
+    const section = task.section || DEFAULT_SECTION;
+    const position = counts.get(section) || 0;
+    counts.set(section, position + 1);
+    return position;
+  });
 }
 
 // ── Native messaging I/O ────────────────────────────────────────────
@@ -266,20 +762,37 @@ function sendMessage(msg) {
 
 // ── File operations ─────────────────────────────────────────────────
 
+// The task list last sent to or received from the extension
+let knownTasks = [];
+
 function readTasksFromFile(mdPath) {
   try {
     const content = readFileSync(mdPath, "utf8");
     const parsed = parse(content);
-    return flattenTasks(parsed);
+    knownTasks = reconcileTasks(flattenTasks(parsed), knownTasks);
+    return knownTasks;
   } catch {
     return [];
   }
 }
 
-function writeTasksToFile(mdPath, tasks) {
-  const sections = groupBySections(tasks);
-  const md = serialize(sections);
-  writeFileSync(mdPath, md, "utf8");
+// Writes through the file's current content so prose, layout and
+// untouched task lines survive. Its tasks are reconciled against the
+// previous list first so their lines can be matched to the incoming ids.
+function writeTasksToFile(mdPath, tasks, format) {
+  const nextTasks = Array.isArray(tasks) ? tasks : [];
+  let content = "";
+  try {
+    content = readFileSync(mdPath, "utf8");
+  } catch {
+    // Missing file: start from an empty document.
+  }
+
+  const document = parseDocument(content);
+  attachTasks(document, reconcileTasks(flattenTasks(document), knownTasks));
+  knownTasks = nextTasks;
+  const md = serializeDocument(document, nextTasks, format);
+  if (md !== content) writeFileSync(mdPath, md, "utf8");
 }
 
 // ── Main loop ───────────────────────────────────────────────────────
@@ -287,14 +800,15 @@ function writeTasksToFile(mdPath, tasks) {
 async function main() {
   const config = loadConfig();
   const mdPath = config.markdownPath;
+  const taskFormat = TASK_FORMATS.includes(config.taskFormat) ? config.taskFormat : "tollgate";
 
-  // Send config to extension so it can display the markdown path
-  sendMessage({ type: "config", config: { markdownPath: mdPath } });
+  // Send config to extension so it can display the markdown path and
+  // write task metadata in the same syntax
+  sendMessage({ type: "config", config: { markdownPath: mdPath, taskFormat } });
 
   if (mdPath && existsSync(mdPath)) {
-    // Send initial tasks to extension
-    const tasks = readTasksFromFile(mdPath);
-    sendMessage({ type: "tasks", tasks });
+    // The initial tasks go out once the extension asks with a "read" that
+    // carries its own list, so the first parse can be reconciled too.
 
     // Watch for external file changes
     watchFile(mdPath, { interval: 2000 }, () => {
@@ -310,8 +824,9 @@ async function main() {
       if (!msg) break;
 
       if (msg.type === "tasks" && mdPath) {
-        writeTasksToFile(mdPath, msg.tasks);
+        writeTasksToFile(mdPath, msg.tasks, taskFormat);
       } else if (msg.type === "read" && mdPath) {
+        if (Array.isArray(msg.tasks)) knownTasks = msg.tasks;
         const tasks = readTasksFromFile(mdPath);
         sendMessage({ type: "tasks", tasks });
       }
@@ -323,4 +838,27 @@ async function main() {
   if (mdPath) unwatchFile(mdPath);
 }
 
-main();
+// Tests import this module for the document model, so the host loop only
+// starts when Chrome (via the wrapper) runs the file directly.
+function isEntryPoint() {
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch {
+    return false;
+  }
+}
+
+if (isEntryPoint()) main();
+
+export {
+  parse,
+  parseDocument,
+  serializeDocument,
+  attachTasks,
+  flattenTasks,
+  reconcileTasks,
+  parseRecurrence,
+  getNextOccurrence,
+  getResetDate,
+  rollDueDate,
+};
@@ -0,0 +1,228 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import vm from "vm";
+
+const BACKGROUND_PATH = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "../../chrome-extension/background.js"
+);
+
+// Runs background.js against an in-memory stand-in for the chrome.* APIs
+// it touches. Returns the script's globals and the backing stores.
+function loadBackground() {
+  const local = {};
+  const session = {};
+  let dynamicRules = [];
+  let sessionRules = [];
+  const event = () => ({ addListener() {} });
+  const pick = (store, keys) => {
+    if (keys === null || keys === undefined) return structuredClone(store);
+    const result = {};
+    for (const key of typeof keys === "string" ? [keys] : keys) {
+      if (key in store) result[key] = structuredClone(store[key]);
+    }
+    return result;
+  };
+  const area = (store) => ({
+    async get(keys) {
+      return pick(store, keys);
+    },
+    async set(items) {
+      Object.assign(store, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of typeof keys === "string" ? [keys] : keys) delete store[key];
+    },
+  });
+
+  const chrome = {
+    runtime: {
+      onInstalled: event(),
+      onStartup: event(),
+      onMessage: event(),
+      getURL: (path) => "chrome-extension://tollgate" + path,
+      connectNative() {
+        throw new Error("No native host");
+      },
+    },
+    storage: {
+      local: area(local),
+      session: area(session),
+      sync: area({}),
+      onChanged: event(),
+    },
+    declarativeNetRequest: {
+      MAX_NUMBER_OF_REGEX_RULES: 1000,
+      MAX_NUMBER_OF_DYNAMIC_RULES: 5000,
+      async getDynamicRules() {
+        return structuredClone(dynamicRules);
+      },
+      async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+        dynamicRules = dynamicRules
+          .filter((rule) => !removeRuleIds.includes(rule.id))
+          .concat(structuredClone(addRules));
+      },
+      async getSessionRules() {
+        return structuredClone(sessionRules);
+      },
+      async updateSessionRules({ removeRuleIds = [], addRules = [] }) {
+        sessionRules = sessionRules
+          .filter((rule) => !removeRuleIds.includes(rule.id))
+          .concat(structuredClone(addRules));
+      },
+      async isRegexSupported() {
+        return { isSupported: true };
+      },
+    },
+    alarms: {
+      onAlarm: event(),
+      create() {},
+      async clear() {},
+      async getAll() {
+        return [];
+      },
+    },
+    tabs: {
+      async query() {
+        return [];
+      },
+      update() {},
+      onActivated: event(),
+      onUpdated: event(),
+      onRemoved: event(),
+    },
+    windows: {
+      onFocusChanged: event(),
+      async getLastFocused() {
+        return null;
+      },
+    },
+    idle: {
+      setDetectionInterval() {},
+      onStateChanged: event(),
+      async queryState() {
+        return "active";
+      },
+    },
+    webNavigation: { onBeforeNavigate: event(), onHistoryStateUpdated: event() },
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console,
+    crypto,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+  });
+  vm.runInContext(readFileSync(BACKGROUND_PATH, "utf8"), context);
+  return {
+    background: context,
+    local,
+    get dynamicRules() {
+      return dynamicRules;
+    },
+  };
+}
+
+test("reads pause history logged before pauses had an expiry", async () => {
+  const { background, local } = loadBackground();
+  await background.ensureLocalDefaults();
+  await background.handleMessage({ type: "addSite", site: "news.example" });
+  local.timeLog = [
+    {
+      site: "news.example",
+      unlockedAt: "2026-10-18T09:00:00.000Z",
+      lockedAt: "2026-10-18T09:10:00.000Z",
+      paused: true,
+    },
+    { site: "news.example", unlockedAt: "2026-10-18T10:00:00.000Z", paused: true },
+  ];
+
+  assert.equal(
+    background.getPauseUsage(local.timeLog).lastEndedAt,
+    "2026-10-18T10:00:00.000Z"
+  );
+  const resp = await background.handleMessage({ type: "siteStatus", site: "news.example" });
+  assert.equal(resp.ok, true);
+  assert.equal(resp.status.pauses.lastEndedAt, "2026-10-18T10:00:00.000Z");
+});
+
+test("deep focus keeps excepted URLs blocked unless they are allowlisted", async () => {
+  const { background, local } = loadBackground();
+  await background.ensureLocalDefaults();
+  await background.handleMessage({ type: "addSite", site: "google.com" });
+  await background.handleMessage({
+    type: "updateSiteSettings",
+    site: "google.com",
+    exceptions: ["docs.google.com", "maps.google.com"],
+  });
+  local.focusMode = {
+    active: true,
+    allowlist: ["docs.google.com"],
+    startedAt: new Date().toISOString(),
+    endsAt: null,
+  };
+
+  // Arrays from the script's context fail deepEqual's prototype check
+  const getAllowKeys = () =>
+    Array.from(background.buildDesiredRules(local))
+      .map((rule) => rule.key)
+      .filter((key) => key.startsWith("allow:"));
+  assert.deepEqual(getAllowKeys(), ["allow:docs.google.com"]);
+
+  const redirects = [];
+  background.chrome.tabs.update = (tabId, { url }) => redirects.push(url);
+  for (const url of ["https://docs.google.com/d/1", "https://maps.google.com/"]) {
+    await background.guardNavigation({ tabId: 1, url, frameId: 0 });
+  }
+  assert.deepEqual(redirects, [
+    background.getSiteBlockedPageUrl("google.com", "https://maps.google.com/"),
+  ]);
+
+  local.focusMode = { ...local.focusMode, active: false };
+  assert.deepEqual(getAllowKeys(), ["allow:docs.google.com", "allow:maps.google.com"]);
+});
+
+test("unticking a task done on an earlier day takes back its credit", async () => {
+  const { background, local } = loadBackground();
+  await background.ensureLocalDefaults();
+  local.config = { ...local.config, credits: { enabled: true, minutesPerTask: 10 } };
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const task = { id: "t1", text: "Write report", section: "Tasks", completed: false };
+  const setDone = (completed) =>
+    background.handleMessage({
+      type: "updateTasks",
+      tasks: [{ ...task, completed, completedAt: completed ? new Date().toISOString() : null }],
+    });
+  const getBalance = () => background.getCreditBalance(local.creditLedger);
+
+  // Ticked yesterday
+  local.tasks = [task];
+  await background.handleMessage({
+    type: "updateTasks",
+    tasks: [{ ...task, completed: true, completedAt: yesterday }],
+  });
+  local.creditLedger = local.creditLedger.map((entry) => ({ ...entry, at: yesterday }));
+  assert.equal(getBalance(), 10);
+
+  await setDone(false);
+  assert.equal(getBalance(), 0);
+  await setDone(true);
+  await setDone(false);
+  await setDone(true);
+  assert.equal(getBalance(), 10);
+
+  // A recurring reset keeps what the completion earned
+  await background.handleMessage({
+    type: "updateTasks",
+    tasks: [{ ...task, completed: false, completedAt: null }],
+    reset: true,
+  });
+  assert.equal(getBalance(), 10);
+});
@@ -0,0 +1,294 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import {
+  parseDocument,
+  serializeDocument,
+  attachTasks,
+  flattenTasks,
+  reconcileTasks,
+  parseRecurrence,
+  getNextOccurrence,
+  getResetDate,
+  rollDueDate,
+} from "../native-host.mjs";
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), "golden");
+
+function readGolden(name) {
+  return readFileSync(join(GOLDEN_DIR, name), "utf8");
+}
+
+function readTasks(markdown) {
+  return flattenTasks(parseDocument(markdown));
+}
+
+// Tasks as the extension last saw them: stable ids in place of the
+// fresh ones every parse hands out.
+function readKnownTasks(markdown) {
+  const tasks = readTasks(markdown);
+  const ids = new Map(tasks.map((task, i) => [task.id, `known-${i}`]));
+  return tasks.map((task) => ({
+    ...task,
+    id: ids.get(task.id),
+    parentId: task.parentId ? ids.get(task.parentId) : null,
+  }));
+}
+
+function reconcile(knownMarkdown, markdown) {
+  return reconcileTasks(readTasks(markdown), readKnownTasks(knownMarkdown)).map((task) => [
+    task.text,
+    task.id.startsWith("known-") ? task.id : "new",
+    task.parentId,
+  ]);
+}
+
+function roundTrip(markdown, edit = (tasks) => tasks) {
+  const document = parseDocument(markdown);
+  return serializeDocument(document, edit(flattenTasks(document)));
+}
+
+for (const name of readdirSync(GOLDEN_DIR).filter((file) => !file.includes(".edited."))) {
+  test(`round-trips ${name} unchanged`, () => {
+    const markdown = readGolden(name);
+    assert.equal(roundTrip(markdown), markdown);
+  });
+}
+
+test("rewrites only the task lines that changed", () => {
+  const output = roundTrip(readGolden("daily-notes.md"), (tasks) => {
+    const byText = (text) => tasks.find((task) => task.text === text);
+    const review = byText("Review the release notes");
+    byText("Ask Sam about the migration section").completed = true;
+    return [
+      ...tasks.filter((task) => task.text !== "Reply to the vendor email"),
+      { id: "new-child", text: "Tag the release", completed: false, parentId: review.id, section: "Work" },
+      { id: "new-home", text: "Book dentist", completed: false, parentId: null, section: "Home", dueDate: "2026-03-20" },
+      { id: "new-section", text: "Pick up parcel", completed: false, parentId: null, section: "Errands" },
+    ];
+  });
+  assert.equal(output, readGolden("daily-notes.edited.md"));
+});
+
+test("keeps the ids reconciled onto a document", () => {
+  const document = parseDocument(readGolden("crlf.md"));
+  const tasks = flattenTasks(document).map((task, i) => ({ ...task, id: `known-${i}` }));
+  attachTasks(document, tasks);
+  tasks[0] = { ...tasks[0], text: "Line endings still stay" };
+  assert.equal(
+    serializeDocument(document, tasks),
+    "## Windows\r\n- [ ] Line endings still stay\r\n- [x] Done too\r\n"
+  );
+});
+
+test("writes a done date once a task is completed", () => {
+  const output = roundTrip("## Home\n- [ ] Water the plants (weekly)\n- [x] Renew passport\n", (tasks) => [
+    { ...tasks[0], completed: true, completedAt: new Date(2026, 9, 19, 8, 30).toISOString() },
+    tasks[1],
+  ]);
+  assert.equal(
+    output,
+    "## Home\n- [x] Water the plants (weekly) (done: 2026-10-19)\n- [x] Renew passport\n"
+  );
+});
+
+test("reads done dates in either form", () => {
+  const tasks = flattenTasks(parseDocument("- [x] One (done: 2026-10-18)\n- [x] Two ✅ 2026-10-17\n"));
+  assert.deepEqual(
+    tasks.map((task) => [task.text, task.completedAt]),
+    [
+      ["One", new Date(2026, 9, 18).toISOString()],
+      ["Two", new Date(2026, 9, 17).toISOString()],
+    ]
+  );
+});
+
+test("dates completions by the local day", () => {
+  const timeZone = process.env.TZ;
+  process.env.TZ = "Pacific/Auckland";
+  try {
+    const output = roundTrip("- [ ] Late call\n", (tasks) => [
+      { ...tasks[0], completed: true, completedAt: "2026-10-19T11:30:00.000Z" },
+    ]);
+    assert.equal(output, "- [x] Late call (done: 2026-10-20)\n");
+    const [task] = flattenTasks(parseDocument(output));
+    assert.equal(task.completedAt, "2026-10-19T11:00:00.000Z");
+  } finally {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  }
+});
+
+test("writes changed tasks in the Obsidian Tasks syntax", () => {
+  const document = parseDocument(readGolden("obsidian-tasks.md"));
+  const tasks = flattenTasks(document);
+  const review = tasks.find((task) => task.text === "Review open PRs");
+  assert.deepEqual(
+    [review.recurring, review.scheduledDate, tasks[0].priority, tasks[0].dueDate],
+    ["daily", "2026-10-19", "high", "2026-10-20"]
+  );
+
+  review.completed = true;
+  review.completedAt = new Date(2026, 9, 19, 9).toISOString();
+  const output = serializeDocument(document, tasks, "obsidian");
+  assert.ok(output.includes("- [x] Review open PRs 🔁 every day ⏳ 2026-10-19 ✅ 2026-10-19\n"));
+  assert.ok(output.includes("- [ ] Pay the invoice 🔁 every month 📅 2026-11-01\n"));
+});
+
+test("reads recurrence rules and writes them in either syntax", () => {
+  const document = parseDocument(
+    "- [ ] A (every 2 days)\n- [ ] B 🔁 every week on Monday, Friday\n- [ ] C (monthly on the 1st)\n- [ ] D (every time it rains)\n"
+  );
+  const tasks = flattenTasks(document);
+  assert.deepEqual(
+    tasks.map((task) => [task.text, task.recurring]),
+    [
+      ["A", "every 2 days"],
+      ["B", "every mon,fri"],
+      ["C", "monthly on the 1st"],
+      ["D (every time it rains)", null],
+    ]
+  );
+
+  const edited = tasks.map((task) => ({ ...task, text: `${task.text}!` }));
+  assert.equal(
+    serializeDocument(document, edited, "obsidian"),
+    "- [ ] A! 🔁 every 2 days\n- [ ] B! 🔁 every week on Monday, Friday\n- [ ] C! 🔁 every month on the 1st\n- [ ] D (every time it rains)!\n"
+  );
+  assert.equal(
+    serializeDocument(document, edited),
+    "- [ ] A! (every 2 days)\n- [ ] B! (every mon,fri)\n- [ ] C! (monthly on the 1st)\n- [ ] D (every time it rains)!\n"
+  );
+});
+
+test("keeps ids of tasks whose text still matches", () => {
+  assert.deepEqual(
+    reconcile(
+      "## Work\n- [ ] Write report\n- [ ] Call Sam\n",
+      "## Work\n- [ ] Call Sam\n- [x] Write report\n- [ ] Plan sprint\n"
+    ),
+    [
+      ["Call Sam", "known-1", null],
+      ["Write report", "known-0", null],
+      ["Plan sprint", "new", null],
+    ]
+  );
+});
+
+test("pairs edited lines with vanished tasks under the same parent", () => {
+  assert.deepEqual(
+    reconcile(
+      "## Work\n- [ ] Release\n  - [ ] Tag it\n  - [ ] Announce it\n- [ ] Tidy desk\n",
+      "## Work\n- [ ] Release\n  - [ ] Tag v2\n  - [ ] Announce it\n- [ ] Tidy the desk\n"
+    ),
+    [
+      ["Release", "known-0", null],
+      ["Tag v2", "known-1", "known-0"],
+      ["Announce it", "known-2", "known-0"],
+      ["Tidy the desk", "known-3", null],
+    ]
+  );
+});
+
+test("keeps the id of a task moved to another section", () => {
+  const [moved] = reconcileTasks(
+    readTasks("## Home\n- [ ] Ship it\n- [ ] Laundry\n"),
+    readKnownTasks("## Work\n- [ ] Ship it\n## Home\n- [ ] Laundry\n")
+  );
+  assert.deepEqual([moved.id, moved.section], ["known-0", "Home"]);
+});
+
+test("matches duplicate texts by section, then by position", () => {
+  assert.deepEqual(
+    reconcile(
+      "## Work\n- [ ] Standup\n- [ ] Stretch\n- [ ] Email\n- [ ] Stretch\n## Home\n- [ ] Standup\n",
+      "## Home\n- [ ] Standup\n## Work\n- [ ] Standup\n- [ ] Stretch\n- [ ] Stretch\n"
+    ),
+    [
+      ["Standup", "known-4", null],
+      ["Standup", "known-0", null],
+      ["Stretch", "known-1", null],
+      ["Stretch", "known-3", null],
+    ]
+  );
+});
+
+test("keeps the stored completion time unless the file names another day", () => {
+  const storedAt = new Date(2026, 9, 17, 21, 15).toISOString();
+  const known = readKnownTasks("- [x] Undated\n- [x] Same day\n- [x] Other day\n").map((task) => ({
+    ...task,
+    completedAt: storedAt,
+  }));
+  const tasks = reconcileTasks(
+    readTasks("- [x] Undated\n- [x] Same day ✅ 2026-10-17\n- [x] Other day (done: 2026-10-18)\n- [x] New\n"),
+    known
+  );
+  assert.deepEqual(
+    tasks.slice(0, 3).map((task) => task.completedAt),
+    [storedAt, storedAt, new Date(2026, 9, 18).toISOString()]
+  );
+  assert.ok(Math.abs(Date.parse(tasks[3].completedAt) - Date.now()) < 60000);
+});
+
+function getOccurrences(ruleText, dateKey, count) {
+  const rule = parseRecurrence(ruleText);
+  const anchorDay = Number(dateKey.slice(8, 10));
+  const dates = [];
+  for (let i = 0; i < count; i++) {
+    dateKey = getNextOccurrence(rule, dateKey, anchorDay);
+    dates.push(dateKey);
+  }
+  return dates;
+}
+
+test("clamps monthly occurrences to short months", () => {
+  assert.deepEqual(
+    getOccurrences("monthly", "2026-01-31", 3),
+    ["2026-02-28", "2026-03-31", "2026-04-30"]
+  );
+  assert.deepEqual(getOccurrences("monthly", "2026-02-28", 2), ["2026-03-28", "2026-04-28"]);
+  assert.deepEqual(
+    getOccurrences("monthly on the 31st", "2026-01-31", 3),
+    ["2026-02-28", "2026-03-31", "2026-04-30"]
+  );
+  assert.deepEqual(
+    getOccurrences("every 2 months on the 15th", "2026-11-20", 2),
+    ["2027-01-15", "2027-03-15"]
+  );
+});
+
+test("steps weekday rules over the days they skip", () => {
+  assert.deepEqual(
+    getOccurrences("weekdays", "2026-10-15", 3),
+    ["2026-10-16", "2026-10-19", "2026-10-20"]
+  );
+  assert.deepEqual(
+    getOccurrences("every mon,wed,fri", "2026-10-19", 4),
+    ["2026-10-21", "2026-10-23", "2026-10-26", "2026-10-28"]
+  );
+});
+
+test("resets weekly tasks at the start of the calendar week", () => {
+  const weekly = parseRecurrence("weekly");
+  assert.equal(getResetDate(weekly, "2026-10-14"), "2026-10-19");
+  assert.equal(getResetDate(weekly, "2026-10-18"), "2026-10-19");
+  assert.equal(getResetDate(parseRecurrence("every 2 weeks"), "2026-10-12"), "2026-10-26");
+  assert.equal(getResetDate(parseRecurrence("daily"), "2026-10-18"), "2026-10-19");
+});
+
+test("rolls a due date past every missed occurrence", () => {
+  const roll = (ruleText, dueKey) => rollDueDate(parseRecurrence(ruleText), dueKey, "2026-10-19");
+  assert.equal(roll("daily", "2026-10-10"), "2026-10-19");
+  assert.equal(roll("every 3 days", "2026-10-01"), "2026-10-19");
+  assert.equal(roll("every 4 days", "2026-10-01"), "2026-10-21");
+  assert.equal(roll("weekly", "2026-09-29"), "2026-10-20");
+  assert.equal(roll("monthly on the 1st", "2026-07-01"), "2026-11-01");
+  assert.equal(roll("monthly", "2026-08-31"), "2026-10-31");
+  assert.equal(
+    rollDueDate(parseRecurrence("monthly"), "2026-09-30", "2026-10-19", 31),
+    "2026-10-31"
+  );
+  assert.equal(roll("daily", "2026-10-25"), "2026-10-26");
+});